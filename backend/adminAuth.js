@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'admin_session';
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 1) continue;
+    const name = part.slice(0, i).trim();
+    try {
+      out[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch {
+      out[name] = part.slice(i + 1).trim();
+    }
+  }
+  return out;
+}
+
+// Password login for admin routes. Sessions are stateless cookies
+// "<nonce>.<expires>.<hmac>" signed with a key derived from the admin token,
+// so changing ADMIN_TOKEN signs everyone out. Without a token admin is disabled.
+function createAdminAuth({ token, ttlMs = 12 * 3600 * 1000, now = Date.now }) {
+  const enabled = typeof token === 'string' && token.length > 0;
+  const key = enabled ? crypto.createHmac('sha256', token).update('admin-session').digest() : null;
+
+  function sign(body) {
+    return crypto.createHmac('sha256', key).update(body).digest('base64url');
+  }
+
+  function checkPassword(password) {
+    if (!enabled || typeof password !== 'string') return false;
+    return crypto.timingSafeEqual(digest(password), digest(token));
+  }
+
+  function issue() {
+    const body = `${crypto.randomBytes(9).toString('base64url')}.${now() + ttlMs}`;
+    return `${body}.${sign(body)}`;
+  }
+
+  function verify(value) {
+    if (!enabled || typeof value !== 'string') return false;
+    const parts = value.split('.');
+    if (parts.length !== 3) return false;
+    const body = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(body));
+    const given = Buffer.from(parts[2]);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return false;
+    return Number(parts[1]) > now();
+  }
+
+  function isAdmin(req) {
+    return verify(parseCookies(req.headers && req.headers.cookie)[COOKIE_NAME]);
+  }
+
+  function cookie(req, value, maxAgeSec) {
+    const attrs = [`${COOKIE_NAME}=${value}`, 'Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSec}`];
+    if (req.secure) attrs.push('Secure');
+    return attrs.join('; ');
+  }
+
+  // Sets the session cookie; returns false for a wrong password
+  function login(req, res, password) {
+    if (!checkPassword(password)) return false;
+    res.append('Set-Cookie', cookie(req, issue(), Math.floor(ttlMs / 1000)));
+    return true;
+  }
+
+  function logout(req, res) {
+    res.append('Set-Cookie', cookie(req, '', 0));
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!enabled) return res.status(503).json({ error: 'admin disabled' });
+    if (!isAdmin(req)) return res.status(401).json({ error: 'login required' });
+    next();
+  }
+
+  return { enabled, login, logout, isAdmin, requireAdmin, verify };
+}
+
+module.exports = { createAdminAuth, parseCookies, COOKIE_NAME };
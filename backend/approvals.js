@@ -0,0 +1,55 @@
+const fs = require('fs');
+
+// Layers an admin reviews per country (the outline doubles as the answer reveal)
+const APPROVAL_LAYERS = ['rivers', 'cities', 'elevation', 'roads', 'outline'];
+const STATUSES = ['approved', 'rejected', 'unreviewed'];
+
+// File-backed layer review decisions: { [loc]: { [layer]: { status, updatedAt } } }.
+// Layers without an entry are unreviewed.
+function createApprovals(file, { now = Date.now } = {}) {
+  let data = {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) data = parsed;
+  } catch {
+    data = {};
+  }
+
+  function persist() {
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+  }
+
+  function status(loc, layer) {
+    const entry = data[loc] && data[loc][layer];
+    return entry ? entry.status : 'unreviewed';
+  }
+
+  // 'unreviewed' clears the decision
+  function set(loc, layer, next) {
+    if (!APPROVAL_LAYERS.includes(layer) || !STATUSES.includes(next)) return null;
+    if (next === 'unreviewed') {
+      if (data[loc]) {
+        delete data[loc][layer];
+        if (!Object.keys(data[loc]).length) delete data[loc];
+      }
+      persist();
+      return { status: 'unreviewed', updatedAt: null };
+    }
+    if (!data[loc]) data[loc] = {};
+    data[loc][layer] = { status: next, updatedAt: new Date(now()).toISOString() };
+    persist();
+    return data[loc][layer];
+  }
+
+  function approved(loc) {
+    return new Set(APPROVAL_LAYERS.filter(layer => status(loc, layer) === 'approved'));
+  }
+
+  function all() {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  return { status, set, approved, all };
+}
+
+module.exports = { createApprovals, APPROVAL_LAYERS, STATUSES };
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 20;
+const DAY_MS = 86400000;
+
+function byPopulation(features, limit) {
+  return features
+    .sort((a, b) => (Number(b.properties.population) || 0) - (Number(a.properties.population) || 0))
+    .slice(0, limit);
+}
+
+function cityFeature(lon, lat, name, population) {
+  if (!Number.isFinite(lon) || !Number.isFinite(lat) || !name) return null;
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [lon, lat] },
+    properties: { name, population: Number.isFinite(population) ? population : null }
+  };
+}
+
+// Natural Earth populated places, read from the copy scripts/fetchCitiesSimple.js
+// downloads. Never goes to the network; returns null when the file is missing.
+function naturalEarthProvider({ file, limit = DEFAULT_LIMIT }) {
+  let places = null;
+  return {
+    name: 'Natural Earth',
+    async fetch(iso3) {
+      if (!places) {
+        try {
+          places = JSON.parse(await fs.promises.readFile(file, 'utf8')).features || [];
+        } catch {
+          return null;
+        }
+      }
+      const features = places
+        .filter(f => {
+          const p = (f && f.properties) || {};
+          return [p.ADM0_A3, p.adm0_a3, p.ISO_A3, p.iso_a3, p.SOV_A3, p.sov_a3].some(v => v === iso3);
+        })
+        .map(f => {
+          const p = f.properties;
+          const [lon, lat] = (f.geometry && f.geometry.coordinates) || [];
+          const pop = Number(p.POP_MAX ?? p.pop_max ?? p.POP_MIN ?? p.pop_min);
+          return cityFeature(Number(lon), Number(lat), p.NAME || p.name || p.NAMEASCII || p.nameascii, pop);
+        })
+        .filter(Boolean);
+      return { type: 'FeatureCollection', features: byPopulation(features, limit) };
+    }
+  };
+}
+
+function wikidataProvider({ fetchImpl = fetch, limit = 10 } = {}) {
+  return {
+    name: 'Wikidata',
+    async fetch(iso3) {
+      if (!/^[A-Z]{3}$/.test(iso3)) return null;
+      const query = `
+SELECT ?city ?cityLabel ?population ?coord WHERE {
+  ?country wdt:P298 "${iso3}".
+  ?city (wdt:P31/wdt:P279*) wd:Q515;
+        wdt:P17 ?country;
+        wdt:P625 ?coord.
+  OPTIONAL { ?city wdt:P1082 ?population. }
+  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+}
+ORDER BY DESC(?population)
+LIMIT ${limit}`;
+      const url = 'https://query.wikidata.org/sparql?format=json&query=' + encodeURIComponent(query);
+      const res = await fetchImpl(url, {
+        headers: {
+          'Accept': 'application/sparql-results+json',
+          'User-Agent': 'dashboard-app/1.0'
+        }
+      });
+      if (!res.ok) throw new Error('SPARQL query failed');
+      const data = await res.json();
+      const features = data.results.bindings
+        .map(b => {
+          const m = /Point\(([-\d\.eE]+)\s+([-\d\.eE]+)\)/.exec(b.coord.value);
+          if (!m) return null;
+          return cityFeature(Number(m[1]), Number(m[2]), b.cityLabel?.value || '', b.population ? Number(b.population.value) : null);
+        })
+        .filter(Boolean);
+      return { type: 'FeatureCollection', features };
+    }
+  };
+}
+
+// <dir>/<ISO3>.geojson, for tests and offline development
+function fixtureProvider({ dir }) {
+  return {
+    name: 'fixture',
+    async fetch(iso3) {
+      try {
+        return JSON.parse(await fs.promises.readFile(path.join(dir, `${iso3}.geojson`), 'utf8'));
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+// Keeps <dataDir>/<ISO3>/cities.geojson filled from the first provider that has
+// cities for a country. Files record `fetchedAt` and `ttlDays`; older files
+// without them count from their mtime. Refreshes run one at a time in the
+// background, so callers only ever read what is already on disk. `onResult`
+// hears 'fetched' or 'failed' after each background refresh.
+function createCityStore({ dataDir, providers, ttlDays = 30, delayMs = 1000, retryMs = 10 * 60000, now = Date.now, onResult = () => {} }) {
+  const queue = [];
+  const queued = new Set();
+  const meta = new Map(); // iso3 -> { mtimeMs, fetchedAt, ttlDays }
+  const failures = new Map(); // iso3 -> { count, retryAt } after failed refreshes
+  let running = null;
+
+  function fileFor(iso3) {
+    return path.join(dataDir, iso3, 'cities.geojson');
+  }
+
+  async function status(iso3) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(fileFor(iso3));
+    } catch {
+      return { exists: false, stale: true };
+    }
+    let m = meta.get(iso3);
+    if (!m || m.mtimeMs !== stat.mtimeMs) {
+      let fc = null;
+      try {
+        fc = JSON.parse(await fs.promises.readFile(fileFor(iso3), 'utf8'));
+      } catch {}
+      const fetchedAt = Date.parse((fc && fc.fetchedAt) || '') || stat.mtimeMs;
+      m = { mtimeMs: stat.mtimeMs, fetchedAt, ttlDays: Number((fc && fc.ttlDays) || ttlDays) };
+      meta.set(iso3, m);
+    }
+    return { exists: true, stale: now() - m.fetchedAt > m.ttlDays * DAY_MS, fetchedAt: new Date(m.fetchedAt).toISOString() };
+  }
+
+  async function refresh(iso3) {
+    for (const provider of providers) {
+      let fc;
+      try {
+        fc = await provider.fetch(iso3);
+      } catch (err) {
+        console.warn(`City provider ${provider.name} failed for ${iso3}:`, err && err.message);
+        continue;
+      }
+      if (!fc || !Array.isArray(fc.features) || !fc.features.length) continue;
+      const out = {
+        type: 'FeatureCollection',
+        source: provider.name,
+        fetchedAt: new Date(now()).toISOString(),
+        ttlDays,
+        features: fc.features
+      };
+      const file = fileFor(iso3);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(out));
+      await fs.promises.rename(tmp, file);
+      console.log(`Fetched cities for ${iso3} from ${provider.name}`);
+      return provider.name;
+    }
+    return null;
+  }
+
+  async function drain() {
+    while (queue.length) {
+      const iso3 = queue.shift();
+      let ok = false;
+      try {
+        ok = !!(await refresh(iso3));
+      } catch (err) {
+        console.error('City refresh failed for', iso3, err);
+      }
+      try {
+        recordResult(iso3, ok);
+        onResult(iso3, ok ? 'fetched' : 'failed');
+      } finally {
+        queued.delete(iso3);
+      }
+      if (queue.length && delayMs) await new Promise(r => setTimeout(r, delayMs).unref());
+    }
+    running = null;
+  }
+
+  // Each failure doubles the wait before the next try, up to a day
+  function recordResult(iso3, ok) {
+    if (ok) {
+      failures.delete(iso3);
+      return;
+    }
+    const count = ((failures.get(iso3) || {}).count || 0) + 1;
+    failures.set(iso3, { count, retryAt: now() + Math.min(retryMs * 2 ** (count - 1), DAY_MS) });
+  }
+
+  function schedule(iso3) {
+    if (queued.has(iso3)) return;
+    queued.add(iso3);
+    queue.push(iso3);
+    if (!running) running = drain();
+  }
+
+  // Queue a refresh when the file is missing or past its TTL and the country is
+  // not backing off from a failure; never waits for it
+  async function ensure(iso3) {
+    const s = await status(iso3);
+    const failed = failures.get(iso3);
+    if (s.stale && !(failed && now() < failed.retryAt)) schedule(iso3);
+    return s;
+  }
+
+  async function ensureAll(codes) {
+    for (const code of codes) await ensure(code);
+  }
+
+  // Resolves once the background queue is empty (tests, shutdown)
+  function idle() {
+    return running || Promise.resolve();
+  }
+
+  return { ensure, ensureAll, refresh, status, idle, fileFor };
+}
+
+// CITY_PROVIDERS="naturalearth,wikidata,fixtures" picks and orders the sources.
+// Fixtures are test data, so they are only used when named.
+function cityProviders(names, { naturalEarthFile, fixturesDir, fetchImpl } = {}) {
+  const all = {
+    naturalearth: () => naturalEarthProvider({ file: naturalEarthFile }),
+    wikidata: () => wikidataProvider({ fetchImpl }),
+    fixtures: () => fixtureProvider({ dir: fixturesDir })
+  };
+  return String(names || 'naturalearth,wikidata')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(n => all[n])
+    .map(n => all[n]());
+}
+
+module.exports = {
+  createCityStore,
+  cityProviders,
+  naturalEarthProvider,
+  wikidataProvider,
+  fixtureProvider
+};
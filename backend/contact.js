@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAX_NAME = 100;
+const MAX_MESSAGE = 5000;
+const MIN_MESSAGE = 10;
+const MAX_LINKS = 3;
+const TOKEN_MAX_AGE_MS = 24 * 3600 * 1000;
+const KEEP_SENT_MS = 7 * 24 * 3600 * 1000;
+const EMAIL_RE = /^[^\s@<>()"',;]+@[^\s@<>()"',;]+\.[^\s@<>()"',;]+$/;
+
+// Signed "form opened at" stamps, so a submission can prove it took at least minMs.
+// Each token is good for one submission; spent ones are remembered until they expire.
+function createFormTokens({ secret, minMs = 3000, now = Date.now }) {
+  const spent = new Map(); // token -> issued ms
+
+  function sign(issued, nonce) {
+    return crypto.createHmac('sha256', secret).update(`contact:${issued}:${nonce}`).digest('base64url');
+  }
+
+  function issue() {
+    const issued = String(now());
+    const nonce = crypto.randomBytes(9).toString('base64url');
+    return `${issued}.${nonce}.${sign(issued, nonce)}`;
+  }
+
+  function prune() {
+    const cutoff = now() - TOKEN_MAX_AGE_MS;
+    for (const [token, issued] of spent) {
+      if (issued < cutoff) spent.delete(token);
+    }
+  }
+
+  // null when the token is fine (it is then spent), otherwise the reason
+  function check(token) {
+    const [issued, nonce, sig] = String(token || '').split('.');
+    if (!issued || !nonce || !sig) return 'missing form token';
+    const expected = Buffer.from(sign(issued, nonce));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'invalid form token';
+    const age = now() - Number(issued);
+    if (age < minMs) return 'too fast';
+    if (age > TOKEN_MAX_AGE_MS) return 'form expired';
+    prune();
+    if (spent.has(token)) return 'form already sent';
+    spent.set(token, Number(issued));
+    return null;
+  }
+
+  return { issue, check, minMs };
+}
+
+// Basic content checks. Returns { fields } or { error }; `spam` is set when the
+// honeypot field was filled so the caller can drop it quietly.
+function checkSubmission(body) {
+  const { name, from, message, website } = body || {};
+  if (website) return { spam: true };
+  if (typeof from !== 'string' || !EMAIL_RE.test(from.trim()) || from.length > 254) return { error: 'invalid email' };
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.length > MAX_NAME)) return { error: 'invalid name' };
+  if (/[\r\n]/.test(name || '') || /[\r\n]/.test(from)) return { error: 'invalid name' };
+  if (typeof message !== 'string') return { error: 'invalid message' };
+  const text = message.trim();
+  if (text.length < MIN_MESSAGE) return { error: 'message too short' };
+  if (text.length > MAX_MESSAGE) return { error: 'message too long' };
+  if ((text.match(/https?:\/\//gi) || []).length > MAX_LINKS) return { error: 'too many links' };
+  return { fields: { name: (name || '').trim(), from: from.trim(), message: text } };
+}
+
+// Writes each mail as JSON into `dir`; stands in for a nodemailer transport
+function createFileTransport(dir) {
+  return {
+    async sendMail(mail) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+      await fs.promises.writeFile(path.join(dir, `${messageId}.json`), JSON.stringify(mail, null, 2));
+      return { messageId };
+    }
+  };
+}
+
+// File-backed outbox. Messages are stored before any delivery attempt and
+// retried with exponential backoff until `maxAttempts`, after which they stay
+// listed as failed. Without a transport they simply wait as pending. Sent
+// messages are dropped `keepSentMs` after delivery.
+function createContactOutbox({ file, transport, buildMail, now = Date.now, maxAttempts = 8, baseDelayMs = 60000, maxDelayMs = 6 * 3600 * 1000, keepSentMs = KEEP_SENT_MS }) {
+  let messages = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(parsed)) messages = parsed;
+  } catch {
+    messages = [];
+  }
+  let delivering = null;
+  let timer = null;
+
+  function persist() {
+    fs.writeFileSync(file, JSON.stringify(messages, null, 2));
+  }
+
+  function enqueue(fields) {
+    const t = new Date(now()).toISOString();
+    const msg = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      ...fields,
+      receivedAt: t,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: t,
+      lastError: null,
+      sentAt: null
+    };
+    messages.push(msg);
+    persist();
+    deliverDue().catch(err => console.error('Contact delivery failed', err));
+    return msg;
+  }
+
+  async function attempt(msg) {
+    try {
+      await transport.sendMail(buildMail(msg));
+      msg.status = 'sent';
+      msg.sentAt = new Date(now()).toISOString();
+      msg.lastError = null;
+    } catch (err) {
+      msg.attempts += 1;
+      msg.lastError = String((err && err.message) || err);
+      if (msg.attempts >= maxAttempts) {
+        msg.status = 'failed';
+      } else {
+        const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (msg.attempts - 1));
+        msg.nextAttemptAt = new Date(now() + delay).toISOString();
+      }
+    }
+    persist();
+  }
+
+  function pruneSent() {
+    const cutoff = now() - keepSentMs;
+    const kept = messages.filter(m => m.status !== 'sent' || Date.parse(m.sentAt) > cutoff);
+    if (kept.length === messages.length) return;
+    messages = kept;
+    persist();
+  }
+
+  // Sends every pending message whose retry time has come; one run at a time
+  function deliverDue() {
+    pruneSent();
+    if (!transport) return Promise.resolve();
+    if (delivering) return delivering;
+    delivering = (async () => {
+      const t = now();
+      for (const msg of messages) {
+        if (msg.status === 'pending' && Date.parse(msg.nextAttemptAt) <= t) await attempt(msg);
+      }
+    })().finally(() => {
+      delivering = null;
+    });
+    return delivering;
+  }
+
+  // Puts a failed message back in the queue for an immediate attempt
+  function retry(id) {
+    const msg = messages.find(m => m.id === id);
+    if (!msg || msg.status === 'sent') return null;
+    Object.assign(msg, { status: 'pending', attempts: 0, nextAttemptAt: new Date(now()).toISOString() });
+    persist();
+    deliverDue().catch(err => console.error('Contact delivery failed', err));
+    return msg;
+  }
+
+  function list({ status } = {}) {
+    return messages.filter(m => !status || m.status === status).slice().reverse();
+  }
+
+  function start(intervalMs = 30000) {
+    if (timer) return;
+    timer = setInterval(() => deliverDue().catch(err => console.error('Contact delivery failed', err)), intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { enqueue, deliverDue, retry, list, start, stop };
+}
+
+module.exports = { createContactOutbox, createFileTransport, createFormTokens, checkSubmission };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+const POSITIONS = ['top', 'bottom'];
+const MAX_TEXT = 10000;
+
+function own(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function isPanelId(id) {
+  return typeof id === 'string' && /^[A-Za-z][\w-]{0,63}$/.test(id);
+}
+
+// One lock per file path, so every store on the same file queues behind it
+const locks = new Map();
+
+function withFileLock(file, fn) {
+  const prev = locks.get(file) || Promise.resolve();
+  const run = prev.then(fn, fn);
+  const tail = run.catch(() => {});
+  locks.set(file, tail);
+  tail.then(() => {
+    if (locks.get(file) === tail) locks.delete(file);
+  });
+  return run;
+}
+
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+  await fs.promises.rename(tmp, file);
+}
+
+// Panel descriptions with per-position history:
+// { [panelId]: { top: [{ rev, text, updatedAt, action }], bottom: [...] } }.
+// The last revision is current; a delete is a revision with `text: null`, so it
+// can be reverted too. Files from before history was kept ({ [panelId]: { top: 'text' } })
+// are read as a single revision. Writes go through a per-file lock and
+// temp file plus rename.
+function createDescriptionStore(file, { now = Date.now, historyLimit = 50 } = {}) {
+  async function load() {
+    let raw;
+    try {
+      raw = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      return {};
+    }
+    const data = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return data;
+    for (const [panelId, positions] of Object.entries(raw)) {
+      if (!isPanelId(panelId) || !positions || typeof positions !== 'object') continue;
+      data[panelId] = {};
+      for (const position of POSITIONS) {
+        const value = positions[position];
+        if (typeof value === 'string') {
+          data[panelId][position] = [{ rev: 1, text: value, updatedAt: null, action: 'edit' }];
+        } else if (Array.isArray(value) && value.length) {
+          data[panelId][position] = value;
+        }
+      }
+    }
+    return data;
+  }
+
+  function revisions(data, panelId, position) {
+    return (own(data, panelId) && data[panelId][position]) || [];
+  }
+
+  function current(data, panelId, position) {
+    const revs = revisions(data, panelId, position);
+    return revs.length ? revs[revs.length - 1] : null;
+  }
+
+  // { [panelId]: { top, bottom } } with only the positions that have text
+  async function all() {
+    const data = await load();
+    const out = {};
+    for (const panelId of Object.keys(data)) {
+      for (const position of POSITIONS) {
+        const rev = current(data, panelId, position);
+        if (!rev || rev.text === null) continue;
+        out[panelId] = out[panelId] || {};
+        out[panelId][position] = rev.text;
+      }
+    }
+    return out;
+  }
+
+  async function history(panelId) {
+    const data = await load();
+    const out = {};
+    for (const position of POSITIONS) out[position] = revisions(data, panelId, position).slice().reverse();
+    return out;
+  }
+
+  // Caller holds the file lock and passes the data it loaded under it
+  async function commit(data, panelId, position, text, action) {
+    const head = current(data, panelId, position);
+    const rev = { rev: (head ? head.rev : 0) + 1, text, updatedAt: new Date(now()).toISOString(), action };
+    if (!own(data, panelId)) data[panelId] = {};
+    data[panelId][position] = [...revisions(data, panelId, position), rev].slice(-historyLimit);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await writeAtomic(file, data);
+    return { revision: rev };
+  }
+
+  // With `baseRev`, refuses when someone else saved since: returns
+  // { conflict: currentRevision } instead of writing
+  function append(panelId, position, text, action, baseRev) {
+    return withFileLock(file, async () => {
+      const data = await load();
+      const head = current(data, panelId, position);
+      if (baseRev !== undefined && baseRev !== null && Number(baseRev) !== (head ? head.rev : 0)) {
+        return { conflict: head || { rev: 0, text: null } };
+      }
+      if (text === null && (!head || head.text === null)) return null;
+      return commit(data, panelId, position, text, action);
+    });
+  }
+
+  function set(panelId, position, text, baseRev) {
+    return append(panelId, position, text, 'edit', baseRev);
+  }
+
+  // null when there is nothing to delete
+  function remove(panelId, position, baseRev) {
+    return append(panelId, position, null, 'delete', baseRev);
+  }
+
+  // Re-applies an old revision's text as a new revision; null when it is unknown
+  function revert(panelId, position, rev) {
+    return withFileLock(file, async () => {
+      const data = await load();
+      const target = revisions(data, panelId, position).find(r => r.rev === Number(rev));
+      if (!target) return null;
+      return commit(data, panelId, position, target.text, 'revert');
+    });
+  }
+
+  return { all, history, set, remove, revert };
+}
+
+module.exports = { createDescriptionStore, withFileLock, isPanelId, POSITIONS, MAX_TEXT };
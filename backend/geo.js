@@ -0,0 +1,320 @@
+// GeoJSON helpers for layer serving: bbox clipping, Douglas–Peucker
+// simplification and a repeatable feature cap, plus great-circle distance.
+
+function parseBbox(str) {
+  if (str === undefined) return null;
+  const parts = String(str).split(',').map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return undefined;
+  const [minX, minY, maxX, maxY] = parts;
+  if (minX >= maxX || minY >= maxY) return undefined;
+  return parts;
+}
+
+// Degrees per 256px tile pixel at a web-mercator zoom level
+function toleranceForZoom(z) {
+  return 360 / (256 * Math.pow(2, z));
+}
+
+function inside(p, b) {
+  return p[0] >= b[0] && p[0] <= b[2] && p[1] >= b[1] && p[1] <= b[3];
+}
+
+// Liang–Barsky: clip segment a-b to the box; returns [p, q] or null
+function clipSegment(a, b, box) {
+  let t0 = 0;
+  let t1 = 1;
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const checks = [[-dx, a[0] - box[0]], [dx, box[2] - a[0]], [-dy, a[1] - box[1]], [dy, box[3] - a[1]]];
+  for (const [p, q] of checks) {
+    if (p === 0) {
+      if (q < 0) return null;
+    } else {
+      const r = q / p;
+      if (p < 0) {
+        if (r > t1) return null;
+        if (r > t0) t0 = r;
+      } else {
+        if (r < t0) return null;
+        if (r < t1) t1 = r;
+      }
+    }
+  }
+  return [
+    t0 === 0 ? a : [a[0] + t0 * dx, a[1] + t0 * dy],
+    t1 === 1 ? b : [a[0] + t1 * dx, a[1] + t1 * dy]
+  ];
+}
+
+// A line can leave and re-enter the box, so one line may become several
+function clipLine(coords, box) {
+  const parts = [];
+  let current = null;
+  for (let i = 1; i < coords.length; i++) {
+    const seg = clipSegment(coords[i - 1], coords[i], box);
+    if (!seg) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = [seg[0]];
+      parts.push(current);
+    }
+    current.push(seg[1]);
+    if (seg[1] !== coords[i]) current = null;
+  }
+  return parts.filter(p => p.length >= 2);
+}
+
+// Sutherland–Hodgman against each box edge
+function clipRing(ring, box) {
+  const edges = [
+    p => p[0] >= box[0], (a, b) => intersectX(a, b, box[0]),
+    p => p[0] <= box[2], (a, b) => intersectX(a, b, box[2]),
+    p => p[1] >= box[1], (a, b) => intersectY(a, b, box[1]),
+    p => p[1] <= box[3], (a, b) => intersectY(a, b, box[3])
+  ];
+  let out = ring.slice(0, -1);
+  for (let e = 0; e < edges.length && out.length; e += 2) {
+    const keep = edges[e];
+    const cut = edges[e + 1];
+    const input = out;
+    out = [];
+    for (let i = 0; i < input.length; i++) {
+      const cur = input[i];
+      const prev = input[(i + input.length - 1) % input.length];
+      if (keep(cur)) {
+        if (!keep(prev)) out.push(cut(prev, cur));
+        out.push(cur);
+      } else if (keep(prev)) {
+        out.push(cut(prev, cur));
+      }
+    }
+  }
+  if (out.length < 3) return null;
+  out.push(out[0]);
+  return out;
+}
+
+function intersectX(a, b, x) {
+  const t = (x - a[0]) / (b[0] - a[0]);
+  return [x, a[1] + t * (b[1] - a[1])];
+}
+
+function intersectY(a, b, y) {
+  const t = (y - a[1]) / (b[1] - a[1]);
+  return [a[0] + t * (b[0] - a[0]), y];
+}
+
+function clipPolygon(rings, box) {
+  const outer = rings.length ? clipRing(rings[0], box) : null;
+  if (!outer) return null;
+  return [outer, ...rings.slice(1).map(r => clipRing(r, box)).filter(Boolean)];
+}
+
+function clipGeometry(geom, box) {
+  if (!geom || !geom.type) return null;
+  const c = geom.coordinates;
+  switch (geom.type) {
+    case 'Point':
+      return inside(c, box) ? geom : null;
+    case 'MultiPoint': {
+      const pts = c.filter(p => inside(p, box));
+      return pts.length ? { type: 'MultiPoint', coordinates: pts } : null;
+    }
+    case 'LineString':
+    case 'MultiLineString': {
+      const lines = (geom.type === 'LineString' ? [c] : c).flatMap(l => clipLine(l, box));
+      if (!lines.length) return null;
+      return lines.length === 1 ? { type: 'LineString', coordinates: lines[0] } : { type: 'MultiLineString', coordinates: lines };
+    }
+    case 'Polygon': {
+      const poly = clipPolygon(c, box);
+      return poly ? { type: 'Polygon', coordinates: poly } : null;
+    }
+    case 'MultiPolygon': {
+      const polys = c.map(p => clipPolygon(p, box)).filter(Boolean);
+      return polys.length ? { type: 'MultiPolygon', coordinates: polys } : null;
+    }
+    case 'GeometryCollection': {
+      const geoms = (geom.geometries || []).map(g => clipGeometry(g, box)).filter(Boolean);
+      return geoms.length ? { type: 'GeometryCollection', geometries: geoms } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+function sqSegDist(p, a, b) {
+  let x = a[0];
+  let y = a[1];
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      x = b[0];
+      y = b[1];
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+// Iterative Douglas–Peucker
+function simplifyLine(coords, tolerance) {
+  if (coords.length <= 2 || !(tolerance > 0)) return coords;
+  const sqTol = tolerance * tolerance;
+  const keep = new Uint8Array(coords.length);
+  keep[0] = keep[coords.length - 1] = 1;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxDist = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = sqSegDist(coords[i], coords[first], coords[last]);
+      if (d > maxDist) {
+        maxDist = d;
+        index = i;
+      }
+    }
+    if (maxDist > sqTol) {
+      keep[index] = 1;
+      stack.push([first, index], [index, last]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]);
+}
+
+function simplifyRing(ring, tolerance) {
+  const out = simplifyLine(ring, tolerance);
+  return out.length >= 4 ? out : null;
+}
+
+function simplifyGeometry(geom, tolerance) {
+  if (!geom || !geom.type) return null;
+  const c = geom.coordinates;
+  switch (geom.type) {
+    case 'LineString':
+      return { type: 'LineString', coordinates: simplifyLine(c, tolerance) };
+    case 'MultiLineString':
+      return { type: 'MultiLineString', coordinates: c.map(l => simplifyLine(l, tolerance)) };
+    case 'Polygon': {
+      const rings = c.map(r => simplifyRing(r, tolerance));
+      if (!rings[0]) return null;
+      return { type: 'Polygon', coordinates: rings.filter(Boolean) };
+    }
+    case 'MultiPolygon': {
+      const polys = c
+        .map(p => p.map(r => simplifyRing(r, tolerance)))
+        .filter(p => p[0])
+        .map(p => p.filter(Boolean));
+      return polys.length ? { type: 'MultiPolygon', coordinates: polys } : null;
+    }
+    case 'GeometryCollection': {
+      const geoms = (geom.geometries || []).map(g => simplifyGeometry(g, tolerance)).filter(Boolean);
+      return geoms.length ? { type: 'GeometryCollection', geometries: geoms } : null;
+    }
+    default:
+      return geom;
+  }
+}
+
+function mapFeatures(fc, fn) {
+  const features = [];
+  for (const f of (fc && fc.features) || []) {
+    let geometry = null;
+    try {
+      geometry = f && fn(f.geometry);
+    } catch {
+      geometry = null; // malformed coordinates: drop the feature rather than the whole layer
+    }
+    if (geometry) features.push({ type: 'Feature', properties: f.properties || {}, geometry });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+const ROAD_PRIORITY = ['motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified', 'residential', 'service', 'track', 'path', 'road'];
+
+function featureRank(f) {
+  const props = (f && f.properties) || {};
+  const hw = String(props.highway || '').toLowerCase();
+  if (hw) {
+    const i = ROAD_PRIORITY.indexOf(hw);
+    return i === -1 ? ROAD_PRIORITY.length : i;
+  }
+  return 0;
+}
+
+// Keep at most `max` features, always the same ones for the same input: the
+// most important roads first, larger cities first, then an even sample so the
+// survivors cover the whole country rather than the start of the file.
+function capFeatures(fc, max) {
+  const feats = (fc && fc.features) || [];
+  if (!(max > 0) || feats.length <= max) return fc;
+  const bins = new Map();
+  for (const f of feats) {
+    const r = featureRank(f);
+    if (!bins.has(r)) bins.set(r, []);
+    bins.get(r).push(f);
+  }
+  const out = [];
+  for (const r of Array.from(bins.keys()).sort((a, b) => a - b)) {
+    const arr = bins.get(r);
+    const remaining = max - out.length;
+    if (remaining <= 0) break;
+    const byPop = arr.some(f => f.properties && Number.isFinite(f.properties.population));
+    if (byPop) arr.sort((a, b) => (b.properties.population || 0) - (a.properties.population || 0));
+    if (arr.length <= remaining || byPop) {
+      out.push(...arr.slice(0, remaining));
+    } else {
+      const step = arr.length / remaining;
+      for (let i = 0; i < remaining; i++) out.push(arr[Math.floor(i * step)]);
+    }
+  }
+  return { type: 'FeatureCollection', features: out };
+}
+
+function clipGeoJSON(fc, box) {
+  return mapFeatures(fc, g => clipGeometry(g, box));
+}
+
+function simplifyGeoJSON(fc, tolerance) {
+  return mapFeatures(fc, g => simplifyGeometry(g, tolerance));
+}
+
+// Drop every feature property except `keep`, plus anything outside the features
+function stripProperties(fc, keep = []) {
+  const features = ((fc && fc.features) || []).map(f => {
+    const properties = {};
+    for (const k of keep) {
+      if (f && f.properties && f.properties[k] !== undefined) properties[k] = f.properties[k];
+    }
+    return { type: 'Feature', properties, geometry: (f && f.geometry) || null };
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Haversine distance in kilometres between two lat/lon points
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+module.exports = {
+  parseBbox,
+  toleranceForZoom,
+  clipGeoJSON,
+  simplifyGeoJSON,
+  capFeatures,
+  stripProperties,
+  distanceKm
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const { shuffle } = require('./scheduler');
+
+const QUESTIONS_PER_ROUND = 6;
+
+function normalize(s) {
+  return String(s || '').trim().toLowerCase();
+}
+
+// Daily GeoScore rounds: everyone gets the same questions on a date, picked from
+// the question file with a seeded shuffle, and answers are scored here so the
+// leaderboard never takes the client's total on trust. The file is read again
+// after it changes.
+function createGeoScore({ file, seed, perRound = QUESTIONS_PER_ROUND }) {
+  let cached = null; // { mtimeMs, questions }
+
+  function load() {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      return [];
+    }
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached.questions;
+    let questions = [];
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(parsed)) questions = parsed.filter(q => q && typeof q.question === 'string' && Array.isArray(q.answers));
+    } catch {
+      questions = [];
+    }
+    cached = { mtimeMs: stat.mtimeMs, questions };
+    return questions;
+  }
+
+  function daily(date) {
+    return shuffle(load(), `${seed}|geoscore|${date}`).slice(0, perRound);
+  }
+
+  // The day's question texts; answers stay on the server
+  function questions(date) {
+    return daily(date).map(q => q.question);
+  }
+
+  // One answer per question, in order; a miss or a missing answer scores 0
+  function score(date, answers) {
+    const results = daily(date).map((q, i) => {
+      const given = normalize(Array.isArray(answers) ? answers[i] : '');
+      const hit = given ? q.answers.find(a => normalize(a.answer) === given) : null;
+      return { correct: !!hit, answer: hit ? hit.answer : null, score: hit ? Number(hit.score) || 0 : 0 };
+    });
+    return { results, score: results.reduce((sum, r) => sum + r.score, 0) };
+  }
+
+  return { questions, score };
+}
+
+module.exports = { createGeoScore, QUESTIONS_PER_ROUND };
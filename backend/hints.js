@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Facts unlocked at each hint level, vaguest first; a level includes the ones before it
+const HINT_LEVELS = [
+  ['hemisphere', 'landlocked', 'neighbours'],
+  ['areaRank', 'highestContour'],
+  ['largestCity', 'continent']
+];
+
+function rad(d) {
+  return (d * Math.PI) / 180;
+}
+
+function polygonsOf(geom) {
+  if (!geom) return [];
+  if (geom.type === 'Polygon') return [geom.coordinates];
+  if (geom.type === 'MultiPolygon') return geom.coordinates;
+  if (geom.type === 'GeometryCollection') return (geom.geometries || []).flatMap(polygonsOf);
+  return [];
+}
+
+// Spherical ring area in km² (the formula turf and d3 use)
+function ringAreaKm2(ring) {
+  let total = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    total += rad(lon2 - lon1) * (2 + Math.sin(rad(lat1)) + Math.sin(rad(lat2)));
+  }
+  return Math.abs((total * EARTH_RADIUS_KM * EARTH_RADIUS_KM) / 2);
+}
+
+// Planar signed area and centroid of a ring in degrees
+function ringCentroid(ring) {
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    a += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  }
+  return a ? { area: a / 2, x: cx / (3 * a), y: cy / (3 * a) } : { area: 0, x: 0, y: 0 };
+}
+
+// Area, centroid and latitude range of an outline, plus the border facts
+// scripts/fetchCountryBorders.js stores in its properties
+function outlineFacts(fc) {
+  let areaKm2 = 0;
+  let weight = 0;
+  let x = 0;
+  let y = 0;
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  const props = {};
+  for (const f of (fc && fc.features) || []) {
+    Object.assign(props, f && f.properties);
+    for (const poly of polygonsOf(f && f.geometry)) {
+      poly.forEach((ring, i) => {
+        if (!Array.isArray(ring) || ring.length < 4) return;
+        const km2 = ringAreaKm2(ring);
+        areaKm2 += i === 0 ? km2 : -km2;
+        for (const p of ring) {
+          minLat = Math.min(minLat, p[1]);
+          maxLat = Math.max(maxLat, p[1]);
+        }
+        if (i !== 0) return;
+        const c = ringCentroid(ring);
+        const w = Math.abs(c.area);
+        weight += w;
+        x += c.x * w;
+        y += c.y * w;
+      });
+    }
+  }
+  if (!weight) return null;
+  return {
+    areaKm2: Math.round(areaKm2),
+    centroid: [x / weight, y / weight],
+    spansEquator: minLat < 0 && maxLat > 0,
+    continent: typeof props.continent === 'string' ? props.continent : null,
+    neighbours: Array.isArray(props.neighbours) ? props.neighbours.length : null,
+    landlocked: typeof props.landlocked === 'boolean' ? props.landlocked : null
+  };
+}
+
+function citiesFacts(fc) {
+  const populations = ((fc && fc.features) || [])
+    .map(f => Number(f && f.properties && f.properties.population))
+    .filter(n => Number.isFinite(n) && n > 0);
+  return { largestCity: populations.length ? Math.max(...populations) : null };
+}
+
+// Only real contours carry a level; the generated graticule has none
+function elevationFacts(fc) {
+  let highest = null;
+  for (const f of (fc && fc.features) || []) {
+    const level = Number(f && f.properties && f.properties.level);
+    if (Number.isFinite(level) && (highest === null || level > highest)) highest = level;
+  }
+  return { highestContour: highest };
+}
+
+function ordinal(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function roughPopulation(n) {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)} million`;
+  return `${(Math.round(n / 1000) * 1000).toLocaleString('en-US')}`;
+}
+
+const TEXT = {
+  hemisphere: v => `Lies mostly in the ${v.ns} and ${v.ew} hemispheres${v.spansEquator ? ' and straddles the equator' : ''}`,
+  landlocked: v => (v ? 'Is landlocked' : 'Has a coastline'),
+  neighbours: v => (v ? `Shares land borders with ${v} countr${v === 1 ? 'y' : 'ies'}` : 'Has no land neighbours'),
+  highestContour: v => `Its highest elevation contour is ${v.toLocaleString('en-US')} m`,
+  areaRank: v => `Is the ${ordinal(v.rank)} largest of the ${v.of} countries in the game`,
+  largestCity: v => `Its largest city has about ${roughPopulation(v)} people`,
+  continent: v => `Is in ${v}`
+};
+
+// Hint facts per country, computed from its outline, cities and elevation
+// layers. Each file's facts are cached by mtime and size like the manifest,
+// so a file is only parsed again after it changes. `codes` lists the
+// countries the area rank is taken over.
+function createHints({ dataDir, codes }) {
+  const cache = new Map(); // file -> { key, facts }
+
+  async function fileFacts(file, summarize) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    const key = `${stat.mtimeMs}|${stat.size}`;
+    const hit = cache.get(file);
+    if (hit && hit.key === key) return hit.facts;
+    let fc = null;
+    try {
+      fc = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch {
+      fc = null;
+    }
+    const facts = summarize(fc);
+    cache.set(file, { key, facts });
+    return facts;
+  }
+
+  function layerFacts(loc, name, summarize) {
+    return fileFacts(path.join(dataDir, loc, `${name}.geojson`), summarize);
+  }
+
+  async function areaRank(loc, areaKm2) {
+    const areas = [];
+    for (const code of codes()) {
+      const o = code === loc ? { areaKm2 } : await layerFacts(code, 'outline', outlineFacts);
+      if (o) areas.push(o.areaKm2);
+    }
+    return { rank: areas.filter(a => a > areaKm2).length + 1, of: areas.length };
+  }
+
+  // { hemisphere, landlocked, ... } with null for anything the data can't tell
+  async function facts(loc) {
+    const outline = await layerFacts(loc, 'outline', outlineFacts);
+    const cities = await layerFacts(loc, 'cities', citiesFacts);
+    const elevation = await layerFacts(loc, 'elevation', elevationFacts);
+    return {
+      hemisphere: outline ? {
+        ns: outline.centroid[1] >= 0 ? 'northern' : 'southern',
+        ew: outline.centroid[0] >= 0 ? 'eastern' : 'western',
+        spansEquator: outline.spansEquator
+      } : null,
+      landlocked: outline ? outline.landlocked : null,
+      neighbours: outline ? outline.neighbours : null,
+      highestContour: elevation ? elevation.highestContour : null,
+      // Only the rank: the exact area would name the country outright
+      areaRank: outline ? await areaRank(loc, outline.areaKm2) : null,
+      largestCity: cities ? cities.largestCity : null,
+      continent: outline ? outline.continent : null
+    };
+  }
+
+  // Hints up to `level` (1..HINT_LEVELS.length); facts the data lacks are left out
+  async function hints(loc, level) {
+    const known = await facts(loc);
+    const out = [];
+    HINT_LEVELS.slice(0, level).forEach((names, i) => {
+      for (const fact of names) {
+        const value = known[fact];
+        if (value !== null && value !== undefined) out.push({ level: i + 1, fact, value, text: TEXT[fact](value) });
+      }
+    });
+    return { level, maxLevel: HINT_LEVELS.length, hints: out };
+  }
+
+  return { facts, hints };
+}
+
+module.exports = { createHints, outlineFacts, HINT_LEVELS };
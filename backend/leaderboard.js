@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+const GAMES = ['geolayers', 'geoscore'];
+const PERIODS = ['daily', 'weekly', 'all'];
+
+function todayUTC() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function isDateString(s) {
+  return typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(Date.parse(s + 'T00:00:00Z'));
+}
+
+// Monday-based UTC week containing the given YYYY-MM-DD date, as [first, last] dates.
+function weekRange(date) {
+  const d = new Date(date + 'T00:00:00Z');
+  const offset = (d.getUTCDay() + 6) % 7;
+  const start = new Date(d.getTime() - offset * 86400000);
+  const end = new Date(start.getTime() + 6 * 86400000);
+  return [start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)];
+}
+
+function inPeriod(entryDate, period, date) {
+  if (period === 'all') return true;
+  if (period === 'daily') return entryDate === date;
+  const [first, last] = weekRange(date);
+  return entryDate >= first && entryDate <= last;
+}
+
+// File-backed leaderboard. Each entry records one finished puzzle; boards sum
+// every player's first score per puzzle within the requested period, so
+// replaying a puzzle can't improve a result.
+function createLeaderboard(file) {
+  let entries = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(parsed)) entries = parsed;
+  } catch {
+    entries = [];
+  }
+
+  function persist() {
+    fs.writeFileSync(file, JSON.stringify(entries, null, 2));
+  }
+
+  function add({ game, date, locationId, playerName, score, ts }) {
+    const entry = {
+      game,
+      date: date || todayUTC(),
+      locationId: locationId || null,
+      playerName,
+      score,
+      ts: ts || Date.now()
+    };
+    entries.push(entry);
+    persist();
+    return entry;
+  }
+
+  function board({ game, period = 'all', date = todayUTC() } = {}) {
+    const first = new Map(); // player -> Map(puzzle -> first score)
+    const lastTs = new Map();
+    for (const e of entries) {
+      if (game && e.game !== game) continue;
+      if (!inPeriod(e.date, period, date)) continue;
+      const puzzle = `${e.date}|${e.locationId || ''}`;
+      if (!first.has(e.playerName)) first.set(e.playerName, new Map());
+      const perPuzzle = first.get(e.playerName);
+      if (perPuzzle.has(puzzle)) continue;
+      perPuzzle.set(puzzle, e.score);
+      lastTs.set(e.playerName, Math.max(lastTs.get(e.playerName) || 0, e.ts));
+    }
+    const rows = Array.from(first.entries()).map(([playerName, perPuzzle]) => ({
+      playerName,
+      score: Array.from(perPuzzle.values()).reduce((a, b) => a + b, 0),
+      played: perPuzzle.size
+    }));
+    // Ties go to whoever got there first
+    rows.sort((a, b) => b.score - a.score || lastTs.get(a.playerName) - lastTs.get(b.playerName));
+    return rows.map((r, i) => ({ rank: i + 1, ...r }));
+  }
+
+  function rank(playerName, opts) {
+    const rows = board(opts);
+    const row = rows.find(r => r.playerName === playerName);
+    return row ? { ...row, total: rows.length } : null;
+  }
+
+  function page(opts = {}) {
+    const rows = board(opts);
+    const pageSize = Math.min(Math.max(parseInt(opts.pageSize, 10) || 25, 1), 100);
+    const pageNum = Math.max(parseInt(opts.page, 10) || 1, 1);
+    const start = (pageNum - 1) * pageSize;
+    return { page: pageNum, pageSize, total: rows.length, rows: rows.slice(start, start + pageSize) };
+  }
+
+  return {
+    add,
+    board,
+    rank,
+    page,
+    get size() { return entries.length; }
+  };
+}
+
+module.exports = { createLeaderboard, GAMES, PERIODS, todayUTC, isDateString, weekRange };
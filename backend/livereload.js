@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+
+const WATCHED = /\.(html|css|js|json|geojson)$/i;
+// Server code, tests and data the server writes itself never reach the browser
+const IGNORED = /^(node_modules|\.git|backend|tests|scripts)\//;
+const LAYER_FILE = /^geolayers-game\/public\/data\/([A-Z]{3})\/([a-z_]+)\.geojson$/;
+
+// Repo-relative path -> { type: 'css' | 'layer' | 'reload', ... }, or null to ignore
+function classifyChange(file) {
+  const f = String(file).split(path.sep).join('/');
+  if (IGNORED.test(f) || !WATCHED.test(f)) return null;
+  const layer = LAYER_FILE.exec(f);
+  if (layer) return { type: 'layer', country: layer[1], layer: layer[2] === 'rivers_highres' ? 'rivers' : layer[2] };
+  if (/\.css$/i.test(f)) return { type: 'css', path: `/${f}` };
+  return { type: 'reload', path: `/${f}` };
+}
+
+// Watches `root` and hands subscribers one grouped change per burst of edits:
+// { reload, files, css: [paths], layers: [{ country, layer }] }. A burst ends
+// after `debounceMs` of quiet; `reload` is set when anything needs a full reload.
+function createLiveReload({ root, debounceMs = 200, watch = fs.watch } = {}) {
+  const subscribers = new Set();
+  const pending = new Map();
+  let timer = null;
+  let watcher = null;
+
+  function flush() {
+    timer = null;
+    const changes = Array.from(pending.values());
+    pending.clear();
+    const css = changes.filter(c => c.type === 'css').map(c => c.path);
+    const layers = new Map();
+    for (const c of changes) {
+      if (c.type === 'layer') layers.set(`${c.country}/${c.layer}`, { country: c.country, layer: c.layer });
+    }
+    const change = {
+      reload: changes.some(c => c.type === 'reload'),
+      files: changes.map(c => c.file),
+      css,
+      layers: Array.from(layers.values())
+    };
+    for (const fn of subscribers) fn(change);
+  }
+
+  function notify(file) {
+    const change = classifyChange(file);
+    if (!change) return;
+    // Editors often write a file several times per save; keep one entry each
+    pending.set(String(file), { ...change, file: String(file).split(path.sep).join('/') });
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  }
+
+  function start() {
+    watcher = watch(root, { recursive: true }, (eventType, filename) => {
+      if (filename) notify(filename);
+    });
+  }
+
+  function close() {
+    clearTimeout(timer);
+    if (watcher) watcher.close();
+    watcher = null;
+  }
+
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
+  }
+
+  return { start, close, notify, subscribe };
+}
+
+module.exports = { createLiveReload, classifyChange };
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { geometryBbox } = require('./tiles');
+
+// Every per-country layer file the data scripts can produce
+const LAYER_FILES = ['outline', 'rivers', 'rivers_highres', 'lakes', 'roads', 'elevation', 'cities'];
+// Names clients may request; rivers is served from rivers_highres when present
+const LAYER_NAMES = ['outline', 'rivers', 'lakes', 'roads', 'elevation', 'cities'];
+
+// Where each file comes from when its features don't say (see scripts/)
+const DEFAULT_SOURCES = {
+  outline: 'Natural Earth',
+  rivers: 'Natural Earth',
+  rivers_highres: 'OpenStreetMap',
+  lakes: 'Natural Earth',
+  roads: 'OpenStreetMap',
+  cities: 'Wikidata'
+};
+
+function layerSource(name, fc) {
+  const sources = new Set();
+  let hasLevels = false;
+  for (const f of (fc && fc.features) || []) {
+    const props = (f && f.properties) || {};
+    if (props.source) sources.add(String(props.source));
+    if (props.level !== undefined) hasLevels = true;
+  }
+  if (fc && typeof fc.source === 'string') sources.add(fc.source);
+  if (sources.size) return Array.from(sources).sort().join(', ');
+  // elevation.geojson is either real Terrarium contours or the graticule placeholder
+  if (name === 'elevation') return hasLevels ? 'Terrarium' : 'generated graticule';
+  return DEFAULT_SOURCES[name] || 'unknown';
+}
+
+// Describes the layer files available for a country. Entries are cached by
+// file mtime and size, so each file is only hashed and parsed once per change.
+function createManifest(dataDir) {
+  const cache = new Map(); // file -> { key, entry }
+
+  async function describe(name, file) {
+    const stat = await fs.promises.stat(file);
+    const key = `${stat.mtimeMs}|${stat.size}`;
+    const hit = cache.get(file);
+    if (hit && hit.key === key) return hit.entry;
+    const buf = await fs.promises.readFile(file);
+    let fc = null;
+    try {
+      fc = JSON.parse(buf.toString('utf8'));
+    } catch {
+      fc = null;
+    }
+    const features = (fc && Array.isArray(fc.features)) ? fc.features : [];
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const f of features) geometryBbox(f && f.geometry, box);
+    const entry = {
+      name,
+      features: features.length,
+      bytes: stat.size,
+      bbox: Number.isFinite(box[0]) ? box : null,
+      modified: stat.mtime.toISOString(),
+      hash: crypto.createHash('sha256').update(buf).digest('hex'),
+      source: layerSource(name, fc)
+    };
+    cache.set(file, { key, entry });
+    return entry;
+  }
+
+  async function layers(loc) {
+    const out = [];
+    for (const name of LAYER_FILES) {
+      try {
+        out.push(await describe(name, path.join(dataDir, loc, `${name}.geojson`)));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    return out;
+  }
+
+  // Layer names as the game requests them (rivers covers rivers_highres) that have features
+  async function available(loc) {
+    const names = new Set();
+    for (const entry of await layers(loc)) {
+      if (entry.features > 0) names.add(entry.name === 'rivers_highres' ? 'rivers' : entry.name);
+    }
+    return names;
+  }
+
+  return { layers, available, describe };
+}
+
+module.exports = { createManifest, LAYER_FILES, LAYER_NAMES };
@@ -0,0 +1,103 @@
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(names, values) {
+  if (!names.length) return '';
+  return '{' + names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(',') + '}';
+}
+
+function withLabel(labels, extra) {
+  return labels ? labels.slice(0, -1) + ',' + extra + '}' : '{' + extra + '}';
+}
+
+// Minimal in-process Prometheus registry: counters and histograms keyed by
+// label values, plus gauges read from a callback at scrape time.
+function createMetrics() {
+  const metrics = [];
+
+  function register(type, name, help, labelNames) {
+    const m = { type, name, help, labelNames, series: new Map() };
+    metrics.push(m);
+    return m;
+  }
+
+  function seriesFor(m, labels) {
+    const values = m.labelNames.map(n => (labels && labels[n] !== undefined ? labels[n] : ''));
+    const key = labelString(m.labelNames, values);
+    let s = m.series.get(key);
+    if (!s) {
+      s = m.type === 'histogram'
+        ? { counts: new Array(m.buckets.length).fill(0), sum: 0, count: 0 }
+        : { value: 0 };
+      m.series.set(key, s);
+    }
+    return s;
+  }
+
+  function counter(name, help, labelNames = []) {
+    const m = register('counter', name, help, labelNames);
+    return {
+      inc(labels, by = 1) {
+        seriesFor(m, labels).value += by;
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const m = register('histogram', name, help, labelNames);
+    m.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const s = seriesFor(m, labels);
+        for (let i = 0; i < buckets.length; i++) if (value <= buckets[i]) s.counts[i]++;
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // collect() returns a number, or [[labels, value], ...] for labelled gauges
+  function gauge(name, help, labelNames, collect) {
+    if (typeof labelNames === 'function') [labelNames, collect] = [[], labelNames];
+    const m = register('gauge', name, help, labelNames);
+    m.collect = collect;
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`);
+      if (m.type === 'gauge') {
+        let value;
+        try {
+          value = m.collect();
+        } catch {
+          continue;
+        }
+        const rows = Array.isArray(value) ? value : [[{}, value]];
+        for (const [labels, v] of rows) {
+          const values = m.labelNames.map(n => labels[n]);
+          lines.push(`${m.name}${labelString(m.labelNames, values)} ${Number(v) || 0}`);
+        }
+        continue;
+      }
+      for (const [labels, s] of m.series) {
+        if (m.type === 'counter') {
+          lines.push(`${m.name}${labels} ${s.value}`);
+          continue;
+        }
+        m.buckets.forEach((b, i) => lines.push(`${m.name}_bucket${withLabel(labels, `le="${b}"`)} ${s.counts[i]}`));
+        lines.push(`${m.name}_bucket${withLabel(labels, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${m.name}_sum${labels} ${s.sum}`, `${m.name}_count${labels} ${s.count}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createMetrics, DEFAULT_BUCKETS };
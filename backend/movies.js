@@ -0,0 +1,108 @@
+const fs = require('fs');
+
+const DEFAULT_URL = 'https://raw.githubusercontent.com/FEND16/movie-json-data/master/json/top-rated-movies-01.json';
+const SORTS = ['rating', 'year', 'title'];
+const MAX_PAGE_SIZE = 50;
+
+function slug(s) {
+  return String(s || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function average(ratings) {
+  const nums = (Array.isArray(ratings) ? ratings : []).map(Number).filter(Number.isFinite);
+  return nums.length ? Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 100) / 100 : null;
+}
+
+// Source entry -> catalog movie; ids are the source id or title-year
+function normalizeMovie(m) {
+  const year = Number(m.year) || null;
+  return {
+    id: m.id ? String(m.id) : `${slug(m.title)}${year ? '-' + year : ''}`,
+    title: m.title,
+    originalTitle: m.originalTitle || null,
+    year,
+    genres: Array.isArray(m.genres) ? m.genres : [],
+    score: average(m.ratings),
+    imdbRating: Number(m.imdbRating) || null,
+    contentRating: m.contentRating || null,
+    duration: m.duration || null,
+    releaseDate: m.releaseDate || null,
+    poster: m.posterurl || m.poster || null,
+    storyline: m.storyline || null,
+    actors: Array.isArray(m.actors) ? m.actors : []
+  };
+}
+
+function summary(m) {
+  return { id: m.id, title: m.title, year: m.year, genres: m.genres, score: m.score, poster: m.poster };
+}
+
+// In-memory movie catalog, loaded once from `file` when given (offline use)
+// or else from `url`. A failed load is retried on the next call.
+function createMovieCatalog({ file, url = DEFAULT_URL, fetchImpl = fetch } = {}) {
+  let movies = null;
+  let loading = null;
+
+  async function fetchSource() {
+    if (file) return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const res = await fetchImpl(url);
+    if (!res.ok) throw new Error(`Movie source responded ${res.status}`);
+    return res.json();
+  }
+
+  function load() {
+    if (movies) return Promise.resolve(movies);
+    if (!loading) {
+      loading = fetchSource()
+        .then(data => {
+          if (!Array.isArray(data)) throw new Error('Movie source is not a list');
+          movies = data.filter(m => m && m.title).map(normalizeMovie);
+          return movies;
+        })
+        .finally(() => {
+          loading = null;
+        });
+    }
+    return loading;
+  }
+
+  // { page, pageSize, total, results } of summaries. q matches titles, genre is
+  // exact (any case), year exact; sort rating|year|title, best rated first by default.
+  async function search({ q, genre, year, sort = 'rating', order, page = 1, pageSize = 10 } = {}) {
+    let out = (await load()).slice();
+    if (q) {
+      const needle = String(q).toLowerCase();
+      out = out.filter(m => m.title.toLowerCase().includes(needle) || (m.originalTitle || '').toLowerCase().includes(needle));
+    }
+    if (genre) {
+      const g = String(genre).toLowerCase();
+      out = out.filter(m => m.genres.some(x => String(x).toLowerCase() === g));
+    }
+    if (year) out = out.filter(m => m.year === Number(year));
+    const key = SORTS.includes(sort) ? sort : 'rating';
+    const dir = (order || (key === 'title' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+    const field = key === 'rating' ? 'score' : key;
+    out.sort((a, b) => {
+      if (a[field] === b[field]) return 0;
+      if (a[field] === null) return 1;
+      if (b[field] === null) return -1;
+      return (typeof a[field] === 'string' ? a[field].localeCompare(b[field]) : a[field] - b[field]) * dir;
+    });
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(pageSize, 10) || 10));
+    const pageNum = Math.max(1, Number.parseInt(page, 10) || 1);
+    const start = (pageNum - 1) * size;
+    return { page: pageNum, pageSize: size, total: out.length, results: out.slice(start, start + size).map(summary) };
+  }
+
+  async function get(id) {
+    return (await load()).find(m => m.id === String(id)) || null;
+  }
+
+  async function genres() {
+    return Array.from(new Set((await load()).flatMap(m => m.genres))).sort();
+  }
+
+  return { load, search, get, genres };
+}
+
+module.exports = { createMovieCatalog, normalizeMovie, SORTS };
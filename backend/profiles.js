@@ -0,0 +1,158 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { todayUTC, isDateString } = require('./leaderboard');
+
+const MAX_HISTORY = 200;
+const MAX_NAME = 40;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function previousDay(date) {
+  return new Date(Date.parse(date + 'T00:00:00Z') - 86400000).toISOString().slice(0, 10);
+}
+
+// File-backed player profiles. A profile starts anonymous: the client keeps its
+// id and secret key (only a hash of the key is stored) and may later claim a
+// display name. The export code carries both, so pasting it on another device
+// signs in to the same profile.
+function createProfiles(file, { today = todayUTC } = {}) {
+  let profiles = {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) profiles = parsed;
+  } catch {
+    profiles = {};
+  }
+
+  function persist() {
+    fs.writeFileSync(file, JSON.stringify(profiles, null, 2));
+  }
+
+  function create() {
+    let id = crypto.randomBytes(9).toString('base64url');
+    while (profiles[id]) id = crypto.randomBytes(9).toString('base64url');
+    const key = crypto.randomBytes(24).toString('base64url');
+    profiles[id] = {
+      id,
+      keyHash: hashKey(key),
+      name: null,
+      createdAt: new Date().toISOString(),
+      games: {},
+      streak: { current: 0, best: 0, lastDate: null },
+      history: []
+    };
+    persist();
+    return { id, key };
+  }
+
+  // The profile when `key` belongs to it, otherwise null
+  function authorize(id, key) {
+    const profile = typeof id === 'string' && Object.prototype.hasOwnProperty.call(profiles, id) ? profiles[id] : null;
+    if (!profile || typeof key !== 'string' || !key) return null;
+    const given = Buffer.from(hashKey(key));
+    const expected = Buffer.from(profile.keyHash);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? profile : null;
+  }
+
+  function claim(id, key, name) {
+    const profile = authorize(id, key);
+    if (!profile) return { error: 'invalid profile' };
+    const clean = typeof name === 'string' ? name.trim().slice(0, MAX_NAME) : '';
+    if (!clean) return { error: 'name required' };
+    const lower = clean.toLowerCase();
+    const taken = Object.values(profiles).some(p => p.id !== id && p.name && p.name.toLowerCase() === lower);
+    if (taken) return { error: 'name taken' };
+    profile.name = clean;
+    persist();
+    return { profile };
+  }
+
+  // Only today's daily puzzle moves the streak; archive replays and practice
+  // rounds still count towards stats and history.
+  function updateStreak(profile, date, solved) {
+    const s = profile.streak;
+    if (date !== today() || s.lastDate === date) return;
+    if (!solved) {
+      s.current = 0;
+    } else {
+      s.current = s.lastDate === previousDay(date) ? s.current + 1 : 1;
+      s.best = Math.max(s.best, s.current);
+    }
+    s.lastDate = date;
+  }
+
+  // `rounds` is the round the puzzle ended on
+  function record(id, key, { game, date, loc, solved, rounds, score }) {
+    const profile = authorize(id, key);
+    if (!profile) return { error: 'invalid profile' };
+    if (!profile.games[game]) profile.games[game] = { played: 0, won: 0, distribution: {} };
+    const stats = profile.games[game];
+    stats.played += 1;
+    if (solved) stats.won += 1;
+    const bucket = solved ? String(rounds) : 'X';
+    stats.distribution[bucket] = (stats.distribution[bucket] || 0) + 1;
+    if (isDateString(date)) updateStreak(profile, date, solved);
+    profile.history.unshift({ game, date: date || null, loc: loc || null, solved: !!solved, rounds, score, ts: Date.now() });
+    if (profile.history.length > MAX_HISTORY) profile.history.length = MAX_HISTORY;
+    persist();
+    return { profile };
+  }
+
+  // A streak is only current while yesterday's or today's puzzle was solved
+  function view(profile) {
+    const s = profile.streak;
+    const live = s.lastDate === today() || s.lastDate === previousDay(today());
+    const games = {};
+    for (const [game, g] of Object.entries(profile.games)) {
+      games[game] = { ...g, winRate: g.played ? g.won / g.played : 0 };
+    }
+    return {
+      id: profile.id,
+      name: profile.name,
+      createdAt: profile.createdAt,
+      games,
+      streak: { current: live ? s.current : 0, best: s.best, lastDate: s.lastDate },
+      history: profile.history
+    };
+  }
+
+  function get(id) {
+    return typeof id === 'string' && Object.prototype.hasOwnProperty.call(profiles, id) ? profiles[id] : null;
+  }
+
+  function exportCode(id, key) {
+    if (!authorize(id, key)) return null;
+    return Buffer.from(`${id}.${key}`).toString('base64url');
+  }
+
+  // Returns { id, key } for a valid export code
+  function importCode(code) {
+    let decoded = '';
+    try {
+      decoded = Buffer.from(String(code || '').trim(), 'base64url').toString('utf8');
+    } catch {
+      return null;
+    }
+    const dot = decoded.indexOf('.');
+    if (dot < 1) return null;
+    const id = decoded.slice(0, dot);
+    const key = decoded.slice(dot + 1);
+    return authorize(id, key) ? { id, key } : null;
+  }
+
+  return {
+    create,
+    authorize,
+    claim,
+    record,
+    view,
+    get,
+    exportCode,
+    importCode,
+    get size() { return Object.keys(profiles).length; }
+  };
+}
+
+module.exports = { createProfiles };
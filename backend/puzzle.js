@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+// Layers revealed at each round of a GeoLayers puzzle (1-based round = index + 1).
+const ROUNDS = [['rivers'], ['cities'], ['elevation'], ['roads', 'outline']];
+const MAX_ROUNDS = ROUNDS.length;
+// Puzzle #1 is the first day the daily puzzle ran; numbers count UTC days from here.
+const PUZZLE_EPOCH = '2025-09-01';
+const DAY_MS = 86400000;
+
+// Opaque puzzle tokens: the location and date are sealed with AES-GCM so the
+// client can address layers and submit guesses without ever seeing the answer.
+function createPuzzleTokens(secret) {
+  const key = crypto.createHash('sha256').update(String(secret)).digest();
+
+  function seal(puzzle) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const body = Buffer.concat([cipher.update(JSON.stringify(puzzle), 'utf8'), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+  }
+
+  function open(token) {
+    try {
+      const buf = Buffer.from(String(token || ''), 'base64url');
+      if (buf.length < 29) return null;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, 12));
+      decipher.setAuthTag(buf.subarray(12, 28));
+      const text = Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString('utf8');
+      const puzzle = JSON.parse(text);
+      return puzzle && typeof puzzle.loc === 'string' ? puzzle : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return { seal, open };
+}
+
+// The rounds a country can actually play: layers missing from `available` are
+// dropped and so are rounds left empty. No rounds at all means no puzzle.
+function roundsFor(available) {
+  return ROUNDS
+    .map(layers => layers.filter(l => available.has(l)))
+    .filter(layers => layers.length);
+}
+
+// Check one guess against the answer. `round` is the round the player is on;
+// a miss either advances to the next round (revealing its layers) or ends the puzzle.
+function evaluateGuess(loc, guess, round, rounds = ROUNDS) {
+  const correct = String(guess || '').trim().toUpperCase() === loc;
+  if (correct) return { correct: true, finished: true, round, reveal: [] };
+  if (round < rounds.length) {
+    return { correct: false, finished: false, round: round + 1, reveal: rounds[round] };
+  }
+  return { correct: false, finished: true, round, reveal: [] };
+}
+
+// 100 for a first-round solve, 25 less for each extra reveal, 0 when unsolved
+function scoreFor(round, solved) {
+  return solved ? Math.max(100 - (round - 1) * 25, 0) : 0;
+}
+
+function puzzleNumber(date) {
+  return Math.round((Date.parse(date + 'T00:00:00Z') - Date.parse(PUZZLE_EPOCH + 'T00:00:00Z')) / DAY_MS) + 1;
+}
+
+// Every playable date from `today` back to the epoch, newest first.
+function archiveDates(today) {
+  const out = [];
+  for (let n = puzzleNumber(today); n >= 1; n--) {
+    const date = new Date(Date.parse(PUZZLE_EPOCH + 'T00:00:00Z') + (n - 1) * DAY_MS).toISOString().slice(0, 10);
+    out.push({ number: n, date });
+  }
+  return out;
+}
+
+module.exports = {
+  ROUNDS,
+  MAX_ROUNDS,
+  PUZZLE_EPOCH,
+  createPuzzleTokens,
+  roundsFor,
+  evaluateGuess,
+  scoreFor,
+  puzzleNumber,
+  archiveDates
+};
@@ -0,0 +1,115 @@
+// Route name -> limits. `burst` requests may arrive at once, refilling at
+// `perMinute`; `perDay` caps one client per UTC day and `globalPerDay` caps all
+// clients together (for upstream quotas).
+const DEFAULT_LIMITS = {
+  score: { burst: 10, perMinute: 10, perDay: 500 },
+  contact: { burst: 3, perMinute: 1, perDay: 20 },
+  ticketmaster: { burst: 20, perMinute: 30, perDay: 1000 },
+  ticketmasterBatch: { burst: 5, perMinute: 6, perDay: 200 },
+  spoonacular: { burst: 5, perMinute: 10, perDay: 100, globalPerDay: 150 },
+  movies: { burst: 30, perMinute: 60 },
+  // A map view pulls a few dozen tiles per layer; uncached tiles are built on demand
+  tiles: { burst: 300, perMinute: 600, perDay: 20000 },
+  // /daily, /random and /geoscore/daily each start a tracked round
+  puzzles: { burst: 30, perMinute: 30, perDay: 2000 },
+  adminLogin: { burst: 5, perMinute: 2, perDay: 50 },
+  // Creating and importing profiles rewrite profiles.json
+  profiles: { burst: 5, perMinute: 2, perDay: 50 }
+};
+
+const SWEEP_EVERY = 1000;
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function msUntilTomorrow(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1) - ms;
+}
+
+// In-process token buckets keyed by route and client IP. `overrides` is merged
+// over DEFAULT_LIMITS per route (e.g. parsed from RATE_LIMITS).
+function createRateLimiter({ overrides = {}, now = Date.now } = {}) {
+  const buckets = new Map(); // `${route}|${ip}` -> { tokens, updatedAt, day, count }
+  const globalCounts = new Map(); // route -> { day, count }
+  let calls = 0;
+
+  function limitsFor(route) {
+    return { ...DEFAULT_LIMITS[route], ...overrides[route] };
+  }
+
+  // Drop buckets that have refilled and whose daily count no longer matters
+  function sweep(t) {
+    const day = dayOf(t);
+    for (const [key, b] of buckets) {
+      const limits = limitsFor(key.slice(0, key.indexOf('|')));
+      const full = !limits.perMinute || b.tokens + ((t - b.updatedAt) / 60000) * limits.perMinute >= limits.burst;
+      if (full && (!limits.perDay || b.day !== day)) buckets.delete(key);
+    }
+  }
+
+  // Returns 0 when the request may go ahead, otherwise the seconds to wait
+  function take(route, ip) {
+    const limits = limitsFor(route);
+    const t = now();
+    const day = dayOf(t);
+    if (++calls % SWEEP_EVERY === 0) sweep(t);
+
+    const key = `${route}|${ip || 'unknown'}`;
+    let b = buckets.get(key);
+    if (!b) {
+      b = { tokens: limits.burst, updatedAt: t, day, count: 0 };
+      buckets.set(key, b);
+    }
+    if (b.day !== day) {
+      b.day = day;
+      b.count = 0;
+    }
+    const g = globalCounts.get(route) || { day, count: 0 };
+    if (g.day !== day) {
+      g.day = day;
+      g.count = 0;
+    }
+    globalCounts.set(route, g);
+
+    if ((limits.perDay && b.count >= limits.perDay) || (limits.globalPerDay && g.count >= limits.globalPerDay)) {
+      return Math.ceil(msUntilTomorrow(t) / 1000);
+    }
+    if (limits.burst && limits.perMinute) {
+      b.tokens = Math.min(limits.burst, b.tokens + ((t - b.updatedAt) / 60000) * limits.perMinute);
+      b.updatedAt = t;
+      if (b.tokens < 1) return Math.ceil(((1 - b.tokens) * 60) / limits.perMinute);
+      b.tokens -= 1;
+    }
+    b.count += 1;
+    g.count += 1;
+    return 0;
+  }
+
+  // Express middleware for one route
+  function limit(route) {
+    return (req, res, next) => {
+      const wait = take(route, req.ip);
+      if (!wait) return next();
+      res.set('Retry-After', String(wait));
+      res.status(429).json({ error: 'too many requests', retryAfter: wait });
+    };
+  }
+
+  return { limit, take, limitsFor };
+}
+
+// RATE_LIMITS='{"contact":{"perMinute":2,"perDay":50}}'
+function parseLimitOverrides(text) {
+  if (!text) return {};
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    console.warn('Ignoring invalid RATE_LIMITS');
+    return {};
+  }
+}
+
+module.exports = { createRateLimiter, parseLimitOverrides, DEFAULT_LIMITS };
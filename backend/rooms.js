@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { evaluateGuess, scoreFor } = require('./puzzle');
+
+// No 0/O or 1/I so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_NAME = 24;
+
+function newCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+function cleanName(name) {
+  return typeof name === 'string' ? name.trim().slice(0, MAX_NAME) : '';
+}
+
+// Race rooms for GeoLayers: everyone plays the same puzzle from a shared start
+// time and each player advances through the rounds on their own. Players get a
+// public `id` (shown to others) and a secret `key` (sent with their actions).
+// Listeners receive (type, data) for every room event.
+function createRooms({ now = Date.now, countdownMs = 5000, maxPlayers = 8, idleMs = 6 * 3600 * 1000 } = {}) {
+  const rooms = new Map(); // code -> room
+
+  function prune() {
+    const cutoff = now() - idleMs;
+    for (const [code, room] of rooms) {
+      if (room.touchedAt < cutoff && !room.listeners.size) rooms.delete(code);
+    }
+  }
+
+  function emit(room, type, data) {
+    room.touchedAt = now();
+    for (const fn of Array.from(room.listeners)) {
+      try {
+        fn(type, data);
+      } catch (err) {
+        console.error('Room listener failed', err);
+      }
+    }
+  }
+
+  function publicPlayer(p) {
+    return {
+      id: p.id,
+      name: p.name,
+      round: p.round,
+      guesses: p.guesses.length,
+      finished: p.finished,
+      solved: p.solved,
+      timeMs: p.timeMs,
+      score: p.score
+    };
+  }
+
+  // Solvers first (fewest rounds, then fastest), then everyone else by progress
+  function standings(room) {
+    return Array.from(room.players.values())
+      .map(publicPlayer)
+      .sort((a, b) => {
+        if (a.solved !== b.solved) return a.solved ? -1 : 1;
+        if (a.solved) return a.round - b.round || a.timeMs - b.timeMs;
+        if (a.finished !== b.finished) return a.finished ? -1 : 1;
+        return b.round - a.round || a.name.localeCompare(b.name);
+      });
+  }
+
+  // What anyone holding the code may see; the puzzle token only once the race starts
+  function snapshot(room) {
+    return {
+      code: room.code,
+      state: room.state,
+      host: room.host,
+      maxRounds: room.rounds.length,
+      startsAt: room.startsAt,
+      token: room.state === 'lobby' ? null : room.token,
+      reveal: room.state === 'lobby' ? null : room.rounds[0],
+      bbox: room.state === 'lobby' ? null : room.bbox,
+      players: standings(room),
+      answer: room.state === 'finished' ? room.answer : null
+    };
+  }
+
+  function addPlayer(room, name) {
+    const player = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      key: crypto.randomBytes(18).toString('base64url'),
+      name,
+      round: 1,
+      guesses: [],
+      finished: false,
+      solved: false,
+      timeMs: null,
+      score: null
+    };
+    room.players.set(player.id, player);
+    return player;
+  }
+
+  // `loc`, `rounds`, `token` and `answer` describe the puzzle everyone races on
+  function create({ name, loc, rounds, token, bbox = null, answer }) {
+    prune();
+    const playerName = cleanName(name);
+    if (!playerName) return { error: 'name required' };
+    let code = newCode();
+    while (rooms.has(code)) code = newCode();
+    const room = {
+      code,
+      loc,
+      rounds,
+      token,
+      bbox,
+      answer,
+      state: 'lobby',
+      host: null,
+      startsAt: null,
+      players: new Map(),
+      listeners: new Set(),
+      touchedAt: now()
+    };
+    const player = addPlayer(room, playerName);
+    room.host = player.id;
+    rooms.set(code, room);
+    return { room, player };
+  }
+
+  function get(code) {
+    return rooms.get(String(code || '').toUpperCase()) || null;
+  }
+
+  function join(code, name) {
+    const room = get(code);
+    if (!room) return { error: 'room not found' };
+    const playerName = cleanName(name);
+    if (!playerName) return { error: 'name required' };
+    if (room.state !== 'lobby') return { error: 'race already started' };
+    if (room.players.size >= maxPlayers) return { error: 'room full' };
+    if (Array.from(room.players.values()).some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
+      return { error: 'name taken' };
+    }
+    const player = addPlayer(room, playerName);
+    emit(room, 'join', publicPlayer(player));
+    return { room, player };
+  }
+
+  function playerByKey(room, key) {
+    if (typeof key !== 'string' || !key) return null;
+    for (const p of room.players.values()) {
+      if (p.key === key) return p;
+    }
+    return null;
+  }
+
+  // The player a key belongs to, for routes that act on their progress
+  function member(code, key) {
+    const room = get(code);
+    if (!room) return { error: 'room not found' };
+    const player = playerByKey(room, key);
+    if (!player) return { error: 'not in room' };
+    return { room, player };
+  }
+
+  function start(code, key) {
+    const room = get(code);
+    if (!room) return { error: 'room not found' };
+    const player = playerByKey(room, key);
+    if (!player) return { error: 'not in room' };
+    if (player.id !== room.host) return { error: 'only the host can start' };
+    if (room.state !== 'lobby') return { error: 'race already started' };
+    room.state = 'racing';
+    room.startsAt = now() + countdownMs;
+    emit(room, 'start', {
+      startsAt: room.startsAt,
+      serverNow: now(),
+      token: room.token,
+      maxRounds: room.rounds.length,
+      reveal: room.rounds[0]
+    });
+    return { room };
+  }
+
+  function finishIfDone(room) {
+    if (Array.from(room.players.values()).every(p => p.finished)) {
+      room.state = 'finished';
+      emit(room, 'end', { answer: room.answer, players: standings(room) });
+    }
+  }
+
+  // `guess` is an already-resolved country code
+  function guess(code, key, guessCode) {
+    const room = get(code);
+    if (!room) return { error: 'room not found' };
+    const player = playerByKey(room, key);
+    if (!player) return { error: 'not in room' };
+    if (room.state === 'lobby' || now() < room.startsAt) return { error: 'race not started' };
+    if (player.finished) return { error: 'already finished' };
+    const result = evaluateGuess(room.loc, guessCode, player.round, room.rounds);
+    player.guesses.push(String(guessCode).trim().toUpperCase());
+    player.round = result.round;
+    if (result.finished) {
+      player.finished = true;
+      player.solved = result.correct;
+      player.timeMs = now() - room.startsAt;
+      player.score = scoreFor(result.round, result.correct);
+    }
+    emit(room, 'guess', { player: publicPlayer(player), correct: result.correct });
+    if (!result.finished) emit(room, 'reveal', { player: player.id, round: result.round });
+    if (result.finished) emit(room, 'finish', { player: publicPlayer(player) });
+    finishIfDone(room);
+    return { room, player, result };
+  }
+
+  function leave(code, key) {
+    const room = get(code);
+    if (!room) return { error: 'room not found' };
+    const player = playerByKey(room, key);
+    if (!player) return { error: 'not in room' };
+    room.players.delete(player.id);
+    if (!room.players.size) {
+      rooms.delete(room.code);
+      return { room };
+    }
+    if (room.host === player.id) room.host = room.players.keys().next().value;
+    emit(room, 'leave', { player: player.id, host: room.host });
+    if (room.state === 'racing') finishIfDone(room);
+    return { room };
+  }
+
+  function subscribe(code, fn) {
+    const room = get(code);
+    if (!room) return null;
+    room.listeners.add(fn);
+    return () => room.listeners.delete(fn);
+  }
+
+  return {
+    create,
+    join,
+    start,
+    guess,
+    leave,
+    member,
+    subscribe,
+    get,
+    snapshot,
+    standings,
+    get size() { return rooms.size; }
+  };
+}
+
+module.exports = { createRooms, CODE_ALPHABET, CODE_LENGTH };
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const { scoreFor } = require('./puzzle');
+
+// Tracks GeoLayers and GeoScore rounds from start to score submission. Clients
+// hold an HMAC-signed token naming the round, puzzle date and start time; the
+// guesses and reveal round live here so /score can check a claimed score is
+// reachable. Only `ranked` rounds (today's daily puzzle) go on the leaderboard,
+// and only the first one each player starts for a game and date. At most
+// `maxTracked` rounds are kept; the oldest go first.
+function createRoundTracker({ secret, minElapsedMs = 2000, maxElapsedMs = 24 * 3600 * 1000, maxTracked = 50000, now = Date.now }) {
+  const rounds = new Map(); // id -> { game, loc, date, puzzle, ranked, token, startedAt, round, guesses, finished, solved, score, used, profiled }
+  const firstRanked = new Map(); // `${game}|${date}|${player}` -> { id, startedAt }
+
+  function hmac(body) {
+    return crypto.createHmac('sha256', secret).update(body).digest('base64url');
+  }
+
+  function prune() {
+    const cutoff = now() - maxElapsedMs;
+    for (const [id, state] of rounds) {
+      if (state.startedAt < cutoff) rounds.delete(id);
+    }
+    for (const [key, first] of firstRanked) {
+      if (first.startedAt < cutoff) firstRanked.delete(key);
+    }
+    // Maps keep insertion order, so the first keys are the oldest rounds
+    while (rounds.size >= maxTracked) rounds.delete(rounds.keys().next().value);
+    while (firstRanked.size >= maxTracked) firstRanked.delete(firstRanked.keys().next().value);
+  }
+
+  // The ranked round `player` (client IP, profile id) started for a game and date
+  function first(game, date, player) {
+    const entry = firstRanked.get(`${game}|${date}|${player}`);
+    return (entry && rounds.get(entry.id)) || null;
+  }
+
+  // `puzzle` is the puzzle token the round belongs to; guesses must come with both.
+  // `players` name who starts it: a ranked round is demoted to practice when any
+  // of them already started one for this game and date.
+  function start({ game, loc, date, puzzle = null, ranked = false, players = [] }) {
+    prune();
+    const id = crypto.randomBytes(12).toString('base64url');
+    const startedAt = now();
+    const body = Buffer.from(JSON.stringify({ id, game, date: date || null, t: startedAt })).toString('base64url');
+    const token = `${body}.${hmac(body)}`;
+    const keys = players.map(p => `${game}|${date}|${p}`);
+    if (ranked && keys.some(key => firstRanked.has(key))) ranked = false;
+    if (ranked) keys.forEach(key => firstRanked.set(key, { id, startedAt }));
+    rounds.set(id, {
+      game, loc, date: date || null, puzzle, ranked, token, startedAt,
+      round: 1, guesses: [], finished: false, solved: false, score: null, used: false, profiled: false
+    });
+    return token;
+  }
+
+  function verify(token) {
+    const [body, sig] = String(token || '').split('.');
+    if (!body || !sig) return null;
+    const expected = Buffer.from(hmac(body));
+    const given = Buffer.from(sig);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function lookup(token) {
+    const payload = verify(token);
+    if (!payload) return null;
+    const state = rounds.get(payload.id);
+    return state && state.startedAt === payload.t ? state : null;
+  }
+
+  // Apply the outcome of evaluateGuess() to a round
+  function record(state, guess, result) {
+    state.guesses.push(guess);
+    state.round = result.round;
+    state.finished = result.finished;
+    state.solved = result.correct;
+    if (result.finished) state.score = scoreFor(result.round, result.correct);
+  }
+
+  // Finish a round the server scored in one go (GeoScore answers)
+  function settle(state, score) {
+    state.finished = true;
+    state.score = score;
+  }
+
+  // Validate a score claim and burn the token. Returns { state } or { error }.
+  function claim(token, score) {
+    const state = lookup(token);
+    if (!state) return { error: 'invalid token' };
+    if (state.used) return { error: 'token already used' };
+    if (!state.finished) return { error: 'round not finished' };
+    const elapsed = now() - state.startedAt;
+    if (elapsed < minElapsedMs || elapsed > maxElapsedMs) return { error: 'implausible time' };
+    // One guess per reveal round: a solve on round N took N guesses, a miss used them all
+    if (state.game === 'geolayers' && state.guesses.length !== state.round) return { error: 'implausible score' };
+    if (score !== state.score) return { error: 'implausible score' };
+    state.used = true;
+    return { state };
+  }
+
+  return {
+    start,
+    first,
+    lookup,
+    record,
+    settle,
+    claim,
+    get size() { return rounds.size; }
+  };
+}
+
+module.exports = { createRoundTracker };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const { isDateString } = require('./leaderboard');
+
+const MAX_NOTES = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG = 30;
+const SORTS = ['title', 'year', 'score', 'userRating', 'watchedAt', 'addedAt', 'updatedAt'];
+
+function slug(title) {
+  return String(title || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Imported movies without a known id are matched by title and year
+function titleKey(m) {
+  return `${slug(m.title)}:${m.year || ''}`;
+}
+
+// Validates the user-editable fields present in `input`; returns { fields } or { error }
+function userFields(input) {
+  const fields = {};
+  if ('userRating' in input) {
+    const r = input.userRating;
+    if (r === null || r === '') fields.userRating = null;
+    else if (Number.isFinite(Number(r)) && Number(r) >= 0 && Number(r) <= 10) fields.userRating = Math.round(Number(r) * 2) / 2;
+    else return { error: 'userRating must be 0-10' };
+  }
+  if ('watchedAt' in input) {
+    const w = input.watchedAt;
+    if (w === null || w === '') fields.watchedAt = null;
+    else if (isDateString(w)) fields.watchedAt = w;
+    else return { error: 'watchedAt must be YYYY-MM-DD' };
+  }
+  if ('notes' in input) {
+    if (input.notes !== null && typeof input.notes !== 'string') return { error: 'notes must be text' };
+    if (input.notes && input.notes.length > MAX_NOTES) return { error: 'notes too long' };
+    fields.notes = input.notes || '';
+  }
+  if ('tags' in input) {
+    if (!Array.isArray(input.tags) || input.tags.some(t => typeof t !== 'string')) return { error: 'tags must be a list' };
+    const tags = Array.from(new Set(input.tags.map(t => t.trim().toLowerCase().slice(0, MAX_TAG)).filter(Boolean)));
+    if (tags.length > MAX_TAGS) return { error: 'too many tags' };
+    fields.tags = tags;
+  }
+  return { fields };
+}
+
+// Details that come from the movie source rather than the user
+function sourceFields(input) {
+  const fields = {};
+  if (typeof input.title === 'string' && input.title.trim()) fields.title = input.title.trim();
+  if (Number.isInteger(Number(input.year)) && input.year !== null && input.year !== '') fields.year = Number(input.year);
+  if (Number.isFinite(Number(input.score)) && input.score !== null && input.score !== '') fields.score = Number(input.score);
+  if (typeof input.poster === 'string') fields.poster = input.poster;
+  if (typeof input.overview === 'string') fields.overview = input.overview;
+  return fields;
+}
+
+function compare(a, b, field) {
+  const x = a[field];
+  const y = b[field];
+  if (x === y) return 0;
+  // Missing values sort last in either direction
+  if (x === null || x === undefined) return 1;
+  if (y === null || y === undefined) return -1;
+  if (typeof x === 'string' && typeof y === 'string') return x.localeCompare(y);
+  return x < y ? -1 : 1;
+}
+
+// File-backed saved movies list, in the order movies were added. Each entry has
+// the source details (id, title, year, score, poster) plus the user's
+// userRating (0-10 in halves), watchedAt, notes and tags.
+function createSavedMovies(file, { now = Date.now } = {}) {
+  let movies = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Array.isArray(parsed)) movies = parsed.filter(m => m && m.id !== undefined && m.id !== null);
+  } catch {
+    movies = [];
+  }
+  // Entries saved before ratings and tags existed get empty user fields
+  for (const m of movies) {
+    m.id = String(m.id);
+    m.userRating = m.userRating ?? null;
+    m.watchedAt = m.watchedAt ?? null;
+    m.notes = m.notes ?? '';
+    m.tags = Array.isArray(m.tags) ? m.tags : [];
+  }
+
+  function persist() {
+    fs.writeFileSync(file, JSON.stringify(movies, null, 2));
+  }
+
+  function get(id) {
+    return movies.find(m => m.id === String(id)) || null;
+  }
+
+  function stamp() {
+    return new Date(now()).toISOString();
+  }
+
+  function blank(id, source) {
+    const t = stamp();
+    return { id, ...source, userRating: null, watchedAt: null, notes: '', tags: [], addedAt: t, updatedAt: t };
+  }
+
+  // Returns { movie, created } or { error }; an existing id is left as it is
+  function add(input) {
+    if (!input || input.id === undefined || input.id === null || input.id === '') return { error: 'id required' };
+    const existing = get(input.id);
+    if (existing) return { movie: existing, created: false };
+    const user = userFields(input);
+    if (user.error) return user;
+    const movie = { ...blank(String(input.id), sourceFields(input)), ...user.fields };
+    movies.push(movie);
+    persist();
+    return { movie, created: true };
+  }
+
+  // PUT replaces every user field (missing ones reset); PATCH only touches what is sent
+  function update(id, input, { replace = false } = {}) {
+    const movie = get(id);
+    if (!movie) return null;
+    const merged = replace ? { userRating: null, watchedAt: null, notes: '', tags: [], ...input } : input || {};
+    const user = userFields(merged);
+    if (user.error) return user;
+    Object.assign(movie, sourceFields(merged), user.fields, { updatedAt: stamp() });
+    persist();
+    return { movie };
+  }
+
+  function remove(id) {
+    const i = movies.findIndex(m => m.id === String(id));
+    if (i === -1) return false;
+    movies.splice(i, 1);
+    persist();
+    return true;
+  }
+
+  // Merges source movies (e.g. /api/movies results): new ones are added, known
+  // ones get fresh source details and keep the user's fields
+  function importMovies(list) {
+    let added = 0;
+    let updated = 0;
+    const byTitle = new Map(movies.map(m => [titleKey(m), m]));
+    for (const input of Array.isArray(list) ? list : []) {
+      const source = sourceFields(input || {});
+      if (!source.title) continue;
+      const id = input.id ? String(input.id) : `${slug(source.title)}${source.year ? '-' + source.year : ''}`;
+      const existing = get(id) || byTitle.get(titleKey(source));
+      if (existing) {
+        Object.assign(existing, source, { updatedAt: stamp() });
+        updated++;
+        continue;
+      }
+      const movie = blank(id, source);
+      movies.push(movie);
+      byTitle.set(titleKey(source), movie);
+      added++;
+    }
+    if (added || updated) persist();
+    return { added, updated, total: movies.length };
+  }
+
+  // Filters: tag, watched (true|false), minRating, q (title/notes); sort by one of SORTS
+  function list({ tag, watched, minRating, q, sort, order } = {}) {
+    let out = movies.slice();
+    if (tag) out = out.filter(m => (m.tags || []).includes(String(tag).toLowerCase()));
+    if (watched === 'true' || watched === true) out = out.filter(m => m.watchedAt);
+    if (watched === 'false' || watched === false) out = out.filter(m => !m.watchedAt);
+    if (minRating !== undefined && minRating !== '' && Number.isFinite(Number(minRating))) {
+      out = out.filter(m => m.userRating !== null && m.userRating !== undefined && m.userRating >= Number(minRating));
+    }
+    if (q) {
+      const needle = String(q).toLowerCase();
+      out = out.filter(m => String(m.title || '').toLowerCase().includes(needle) || String(m.notes || '').toLowerCase().includes(needle));
+    }
+    if (SORTS.includes(sort)) {
+      const dir = order === 'desc' ? -1 : 1;
+      out.sort((a, b) => {
+        const c = compare(a, b, sort);
+        // keep missing values last even when descending
+        return a[sort] === null || a[sort] === undefined || b[sort] === null || b[sort] === undefined ? c : c * dir;
+      });
+    }
+    return out;
+  }
+
+  return { list, get, add, update, remove, importMovies, get size() { return movies.length; } };
+}
+
+module.exports = { createSavedMovies, SORTS };
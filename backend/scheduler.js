@@ -0,0 +1,82 @@
+// FNV-1a, used to turn "<seed>:<cycle>" into a 32-bit PRNG seed
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+// mulberry32
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(list, seedStr) {
+  const out = list.slice();
+  const rand = seededRandom(hashString(seedStr));
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+const DAY_MS = 86400000;
+
+// Deterministic daily scheduler. Day 0, 1, 2... (counted from `epoch`) walk through
+// shuffled cycles of the country list, so no country repeats until every one has
+// been used. Each country may carry the date it was `added` (YYYY-MM-DD); a cycle
+// only takes countries added before its first day, so new entries join from the
+// next cycle and days already published never move. Everything is derived from
+// the seed and the country list that ships with the deployment.
+function createScheduler({ seed, epoch, getCountries }) {
+  const cycles = []; // [{ start, codes }], start = first day index
+  const epochMs = Date.parse(epoch + 'T00:00:00Z');
+
+  function dateOf(day) {
+    return new Date(epochMs + day * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function cycle(index) {
+    while (cycles.length <= index) {
+      const prev = cycles[cycles.length - 1];
+      const start = prev ? prev.start + prev.codes.length : 0;
+      const first = dateOf(start);
+      const codes = Array.from(new Set(getCountries()
+        .filter(c => c && c.code && !(c.added && c.added >= first))
+        .map(c => c.code))).sort();
+      if (!codes.length) return null;
+      const next = shuffle(codes, `${seed}:${cycles.length}`);
+      // Keep the same country from showing up two days in a row across a cycle boundary
+      if (prev && next.length > 1 && next[0] === prev.codes[prev.codes.length - 1]) {
+        [next[0], next[1]] = [next[1], next[0]];
+      }
+      cycles.push({ start, codes: next });
+    }
+    return cycles[index].codes;
+  }
+
+  // `day` is a 0-based day index (puzzle number - 1)
+  function pick(day) {
+    let start = 0;
+    for (let i = 0; ; i++) {
+      const c = cycle(i);
+      if (!c) return null;
+      if (day < start + c.length) return c[day - start];
+      start += c.length;
+    }
+  }
+
+  return { pick, cycle };
+}
+
+module.exports = { createScheduler, shuffle };
@@ -2,10 +2,42 @@ const express = require('express');
 const compression = require('compression');
 const path = require('path');
 const fs = require('fs');
-const { execFile } = require('child_process');
-const util = require('util');
+const crypto = require('crypto');
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
 const cors = require('cors');
+const { createLeaderboard, GAMES, PERIODS, todayUTC, isDateString } = require('./leaderboard');
+const {
+  ROUNDS,
+  PUZZLE_EPOCH,
+  createPuzzleTokens,
+  roundsFor,
+  evaluateGuess,
+  scoreFor,
+  puzzleNumber,
+  archiveDates
+} = require('./puzzle');
+const { createScheduler } = require('./scheduler');
+const { createRoundTracker } = require('./rounds');
+const { parseBbox, toleranceForZoom, clipGeoJSON, simplifyGeoJSON, capFeatures, stripProperties } = require('./geo');
+const { createTiler, isValidTile } = require('./tiles');
+const { createManifest, LAYER_NAMES } = require('./manifest');
+const { createRooms } = require('./rooms');
+const { createProfiles } = require('./profiles');
+const { createRateLimiter, parseLimitOverrides } = require('./rateLimit');
+const { createCityStore, cityProviders } = require('./cities');
+const { createApprovals, APPROVAL_LAYERS, STATUSES } = require('./approvals');
+const { createAdminAuth } = require('./adminAuth');
+const { createMetrics } = require('./metrics');
+const { createDescriptionStore, isPanelId, POSITIONS, MAX_TEXT } = require('./descriptions');
+const { createSavedMovies } = require('./savedMovies');
+const { createTicketmaster } = require('./ticketmaster');
+const { createSpoonacular, searchParams } = require('./spoonacular');
+const { createMovieCatalog, SORTS: MOVIE_SORTS } = require('./movies');
+const { createTransactionStore, createStubPlaidClient } = require('./transactions');
+const { createContactOutbox, createFileTransport, createFormTokens, checkSubmission } = require('./contact');
+const { createLiveReload } = require('./livereload');
+const { createHints, HINT_LEVELS } = require('./hints');
+const { createGeoScore } = require('./geoscore');
 let nodemailer;
 try {
   nodemailer = require('nodemailer');
@@ -13,10 +45,45 @@ try {
   nodemailer = null;
 }
 
-const execFileAsync = util.promisify(execFile);
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Behind a proxy (e.g. Render) set TRUST_PROXY=1 so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  const hops = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(hops) ? Number(hops) : hops === 'true' ? true : hops);
+}
+
+// Per-route throttling for public endpoints; see backend/rateLimit.js for defaults
+const rateLimiter = createRateLimiter({ overrides: parseLimitOverrides(process.env.RATE_LIMITS) });
+
+// ADMIN_TOKEN is the admin password; see the admin login routes below
+const adminAuth = createAdminAuth({ token: process.env.ADMIN_TOKEN });
+
+// --- Metrics: request counts and latency, plus game counters; scraped from /metrics ---
+const metrics = createMetrics();
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+const layerBytes = metrics.counter('geolayers_layer_bytes_total', 'Layer and tile body bytes sent, by layer', ['layer']);
+const layerMisses = metrics.counter('geolayers_layer_not_found_total', 'Layer and tile requests answered 404, by layer', ['layer']);
+const cityRefreshes = metrics.counter('geolayers_city_refresh_total', 'Background city refreshes by result', ['result']);
+let sseClientCount = 0;
+metrics.gauge('sse_clients', 'Open server-sent event streams', () => sseClientCount);
+metrics.gauge('leaderboard_entries', 'Scores stored in the leaderboard', () => leaderboard.size);
+metrics.gauge('process_uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident set size', () => process.memoryUsage().rss);
+
+// Routes are labelled by their pattern; static files and unmatched paths count as "other"
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
+  res.on('close', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - start) / 1e9);
+  });
+  next();
+});
+
 // Enable CORS for all routes so the frontend can reach the API
 app.use(cors());
 app.use(compression());
@@ -37,7 +104,11 @@ const mailer = (() => {
 
 app.use(express.json());
 
+// PLAID_STUB_FILE (a JSON list of Plaid transactions) stands in for Plaid in tests and offline work
 const plaidClient = (() => {
+  if (process.env.PLAID_STUB_FILE) {
+    return createStubPlaidClient(JSON.parse(fs.readFileSync(process.env.PLAID_STUB_FILE, 'utf8')));
+  }
   const clientID = process.env.PLAID_CLIENT_ID;
   const secret = process.env.PLAID_SECRET;
   const env = process.env.PLAID_ENV || 'sandbox';
@@ -54,6 +125,20 @@ const plaidClient = (() => {
   return new PlaidApi(config);
 })();
 
+// backend/ holds server code and runtime data (schedule, outbox, profiles, ...);
+// it is never served, however the path is encoded
+function isPrivatePath(urlPath) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch {
+    return true;
+  }
+  return path.posix.normalize(decoded).split('/')[1] === 'backend';
+}
+
+app.use((req, res, next) => (isPrivatePath(req.path) ? res.status(404).send('Not found') : next()));
+
 // Serve static files (like index.html, style.css, script.js)
 app.use(express.static(path.resolve(__dirname, '../'), {
   setHeaders: (res, p) => {
@@ -66,91 +151,169 @@ app.use(express.static(path.resolve(__dirname, '../'), {
   }
 }));
 
-app.post('/contact', async (req, res) => {
-  const { name, from, message } = req.body || {};
-  if (!from || !message) {
-    return res.status(400).json({ error: 'invalid' });
-  }
-  if (!mailer) {
-    return res.status(500).json({ error: 'mail disabled' });
-  }
+// --- Contact form: checked, stored in the outbox, then mailed with retries ---
+// CONTACT_TRANSPORT_DIR writes mails as files instead of sending them (tests, local work)
+const contactTransport = process.env.CONTACT_TRANSPORT_DIR ? createFileTransport(process.env.CONTACT_TRANSPORT_DIR) : mailer;
+const contactOutbox = createContactOutbox({
+  file: process.env.CONTACT_OUTBOX_FILE || path.join(__dirname, 'contact-outbox.json'),
+  transport: contactTransport,
+  buildMail: msg => ({
+    to: CONTACT_EMAIL,
+    from: process.env.SMTP_USER || CONTACT_EMAIL,
+    replyTo: msg.from,
+    subject: `Dashboard contact from ${msg.name || 'Anonymous'}`,
+    text: msg.message
+  })
+});
+contactOutbox.start();
+const contactForms = createFormTokens({
+  secret: process.env.CONTACT_SECRET || crypto.randomBytes(32).toString('hex'),
+  minMs: Number(process.env.CONTACT_MIN_SECONDS || 3) * 1000
+});
+
+// Fetched when the form is shown; the token proves the minimum fill-in time
+app.get('/contact/token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ token: contactForms.issue(), minSeconds: contactForms.minMs / 1000 });
+});
+
+// Body: { name?, from, message, token, website } where `website` is the honeypot
+app.post('/contact', rateLimiter.limit('contact'), (req, res) => {
+  const checked = checkSubmission(req.body);
+  // Bots filling the honeypot get the usual answer and nothing is stored
+  if (checked.spam) return res.status(202).json({ status: 'ok' });
+  if (checked.error) return res.status(400).json({ error: checked.error });
+  const tokenError = contactForms.check(req.body.token);
+  if (tokenError) return res.status(400).json({ error: tokenError });
   try {
-    await mailer.sendMail({
-      to: CONTACT_EMAIL,
-      from: process.env.SMTP_USER,
-      replyTo: from,
-      subject: `Dashboard contact from ${name || 'Anonymous'}`,
-      text: message
-    });
-    res.json({ status: 'ok' });
+    const msg = contactOutbox.enqueue(checked.fields);
+    res.status(202).json({ status: 'ok', id: msg.id });
   } catch (err) {
-    console.error('Contact email failed', err);
+    console.error('Contact outbox write failed', err);
     res.status(500).json({ error: 'failed' });
   }
 });
 
-// --- Description persistence ---
-const descFile = path.join(__dirname, 'descriptions.json');
+// --- Description persistence: per-panel text above and below, with history ---
+const descriptions = createDescriptionStore(process.env.DESCRIPTIONS_FILE || path.join(__dirname, 'descriptions.json'));
 
-function readDescriptions() {
-  try {
-    const text = fs.readFileSync(descFile, 'utf8');
-    return JSON.parse(text);
-  } catch {
-    return {};
+function descriptionTarget(req, res) {
+  const { panelId, position } = { ...req.body, ...req.params };
+  if (!isPanelId(panelId) || !POSITIONS.includes(position)) {
+    res.status(400).json({ error: 'invalid' });
+    return null;
   }
+  return { panelId, position };
 }
 
-function writeDescriptions(data) {
-  fs.writeFileSync(descFile, JSON.stringify(data, null, 2));
-}
+app.get('/api/descriptions', async (req, res) => {
+  res.json(await descriptions.all());
+});
 
-app.get('/api/descriptions', (req, res) => {
-  res.json(readDescriptions());
+// Newest first; each entry is { rev, text, updatedAt, action }, text null for deletes
+app.get('/api/description/:panelId/history', async (req, res) => {
+  if (!isPanelId(req.params.panelId)) return res.status(400).json({ error: 'invalid' });
+  res.json({ panelId: req.params.panelId, history: await descriptions.history(req.params.panelId) });
 });
 
-app.post('/api/description', (req, res) => {
-  const { panelId, position, text } = req.body || {};
-  if (!panelId || !['top', 'bottom'].includes(position) || typeof text !== 'string') {
-    return res.status(400).json({ error: 'invalid' });
+// Optional `baseRev` is the revision the editor started from; a newer one answers 409
+app.post('/api/description', adminAuth.requireAdmin, async (req, res) => {
+  const target = descriptionTarget(req, res);
+  if (!target) return;
+  const { text, baseRev } = req.body || {};
+  if (typeof text !== 'string' || text.length > MAX_TEXT) return res.status(400).json({ error: 'invalid' });
+  try {
+    const result = await descriptions.set(target.panelId, target.position, text, baseRev);
+    if (result.conflict) return res.status(409).json({ error: 'conflict', current: result.conflict });
+    res.json({ status: 'ok', revision: result.revision });
+  } catch (err) {
+    console.error('Description save failed', err);
+    res.status(500).json({ error: 'failed' });
   }
-  const data = readDescriptions();
-  data[panelId] = data[panelId] || {};
-  data[panelId][position] = text;
-  writeDescriptions(data);
-  res.json({ status: 'ok' });
 });
 
-// --- Saved movies persistence ---
-const savedFile = path.join(__dirname, 'saved-movies.json');
+app.post('/api/description/:panelId/:position/revert', adminAuth.requireAdmin, async (req, res) => {
+  const target = descriptionTarget(req, res);
+  if (!target) return;
+  try {
+    const result = await descriptions.revert(target.panelId, target.position, (req.body || {}).rev);
+    if (!result) return res.status(404).json({ error: 'unknown revision' });
+    res.json({ status: 'ok', revision: result.revision });
+  } catch (err) {
+    console.error('Description revert failed', err);
+    res.status(500).json({ error: 'failed' });
+  }
+});
 
-function readSavedMovies() {
+app.delete('/api/description/:panelId/:position', adminAuth.requireAdmin, async (req, res) => {
+  const target = descriptionTarget(req, res);
+  if (!target) return;
   try {
-    const txt = fs.readFileSync(savedFile, 'utf8');
-    return JSON.parse(txt);
-  } catch {
-    return [];
+    const result = await descriptions.remove(target.panelId, target.position, (req.body || {}).baseRev);
+    if (!result) return res.status(404).json({ error: 'not found' });
+    if (result.conflict) return res.status(409).json({ error: 'conflict', current: result.conflict });
+    res.json({ status: 'ok', revision: result.revision });
+  } catch (err) {
+    console.error('Description delete failed', err);
+    res.status(500).json({ error: 'failed' });
   }
-}
+});
 
-function writeSavedMovies(data) {
-  fs.writeFileSync(savedFile, JSON.stringify(data, null, 2));
+// --- Saved movies: ratings, watched date, notes and tags per movie ---
+const savedMovies = createSavedMovies(process.env.SAVED_MOVIES_FILE || path.join(__dirname, 'saved-movies.json'));
+
+function savedMovieError(res, result) {
+  if (!result) return res.status(404).json({ error: 'not found' });
+  return res.status(400).json({ error: result.error });
 }
 
+// ?tag=&watched=true|false&minRating=&q=&sort=title|year|score|userRating|watchedAt|addedAt|updatedAt&order=asc|desc
 app.get('/api/saved-movies', (req, res) => {
-  res.json(readSavedMovies());
+  res.json(savedMovies.list(req.query));
+});
+
+app.get('/api/saved-movies/:id', (req, res) => {
+  const movie = savedMovies.get(req.params.id);
+  if (!movie) return res.status(404).json({ error: 'not found' });
+  res.json(movie);
 });
 
+// Saving a movie that is already in the list leaves it unchanged
 app.post('/api/saved-movies', (req, res) => {
-  const movie = req.body || {};
-  if (!movie || !movie.id) {
-    return res.status(400).json({ error: 'invalid' });
-  }
-  const data = readSavedMovies();
-  if (!data.some(m => String(m.id) === String(movie.id))) {
-    data.push(movie);
-    writeSavedMovies(data);
+  const result = savedMovies.add(req.body);
+  if (result.error) return savedMovieError(res, result);
+  res.status(result.created ? 201 : 200).json({ status: 'ok', movie: result.movie });
+});
+
+// { movies: [...] } merges those; without a body the first /api/movies page is merged
+app.post('/api/saved-movies/import', rateLimiter.limit('movies'), async (req, res) => {
+  let list = req.body && req.body.movies;
+  if (list !== undefined && !Array.isArray(list)) return res.status(400).json({ error: 'movies must be a list' });
+  if (!list) {
+    try {
+      list = (await movieCatalog.search()).results;
+    } catch (err) {
+      console.error('Movie import fetch failed', err);
+      return res.status(502).json({ error: 'Failed to fetch movies' });
+    }
   }
+  res.json(savedMovies.importMovies(list));
+});
+
+app.put('/api/saved-movies/:id', (req, res) => {
+  const result = savedMovies.update(req.params.id, req.body, { replace: true });
+  if (!result || result.error) return savedMovieError(res, result);
+  res.json(result.movie);
+});
+
+app.patch('/api/saved-movies/:id', (req, res) => {
+  const result = savedMovies.update(req.params.id, req.body);
+  if (!result || result.error) return savedMovieError(res, result);
+  res.json(result.movie);
+});
+
+app.delete('/api/saved-movies/:id', (req, res) => {
+  if (!savedMovies.remove(req.params.id)) return res.status(404).json({ error: 'not found' });
   res.json({ status: 'ok' });
 });
 
@@ -164,7 +327,7 @@ app.get('/api/spotify-client-id', (req, res) => {
 });
 
 // --- Ticketmaster proxy ---
-app.get('/api/ticketmaster', async (req, res) => {
+app.get('/api/ticketmaster', rateLimiter.limit('ticketmaster'), async (req, res) => {
   const { apiKey, keyword } = req.query || {};
   if (!apiKey || !keyword) {
     return res.status(400).json({ error: 'missing' });
@@ -183,33 +346,93 @@ app.get('/api/ticketmaster', async (req, res) => {
   }
 });
 
-// --- Spoonacular proxy ---
-app.get('/api/spoonacular', async (req, res) => {
-  const { query } = req.query || {};
-  const apiKey = process.env.SPOONACULAR_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'missing api key' });
+// Many artists in one call: { artists, apiKey?, lat?, lon?, radiusKm? } -> { events, errors }.
+// TICKETMASTER_API_KEY is used when the body carries no key.
+const ticketmaster = createTicketmaster({
+  ttlMs: Number(process.env.TICKETMASTER_TTL_MINUTES || 360) * 60000,
+  concurrency: Number(process.env.TICKETMASTER_CONCURRENCY || 4)
+});
+const MAX_BATCH_ARTISTS = 25;
+
+app.post('/api/ticketmaster/batch', rateLimiter.limit('ticketmasterBatch'), async (req, res) => {
+  const { artists, lat, lon, radiusKm } = req.body || {};
+  const apiKey = (req.body && req.body.apiKey) || process.env.TICKETMASTER_API_KEY;
+  if (!apiKey) return res.status(400).json({ error: 'missing apiKey' });
+  if (!Array.isArray(artists) || !artists.length || artists.some(a => typeof a !== 'string' || !a.trim())) {
+    return res.status(400).json({ error: 'artists must be a list of names' });
   }
-  if (!query) {
-    return res.status(400).json({ error: 'missing query' });
+  if (artists.length > MAX_BATCH_ARTISTS) return res.status(400).json({ error: `at most ${MAX_BATCH_ARTISTS} artists` });
+  let near = null;
+  if (lat !== undefined || lon !== undefined || radiusKm !== undefined) {
+    near = { lat: Number(lat), lon: Number(lon), radiusKm: Number(radiusKm) };
+    const valid = Math.abs(near.lat) <= 90 && Math.abs(near.lon) <= 180 && near.radiusKm > 0 && near.radiusKm <= 5000;
+    if (!valid) return res.status(400).json({ error: 'lat, lon and radiusKm (1-5000) go together' });
   }
-  const apiUrl =
-    `https://api.spoonacular.com/recipes/complexSearch?query=${encodeURIComponent(
-      query
-    )}&number=50&offset=0&addRecipeInformation=true&apiKey=${apiKey}`;
   try {
-    const apiRes = await fetch(apiUrl);
-    const data = await apiRes.json();
-    res.status(apiRes.status).json(data);
+    res.json(await ticketmaster.batch({ artists, apiKey, near }));
   } catch (err) {
-    console.error('Spoonacular fetch failed', err);
+    console.error('Ticketmaster batch failed', err);
     res.status(500).json({ error: 'failed' });
   }
 });
 
+// --- Spoonacular proxy: cached, so repeated searches cost no quota ---
+const spoonacular = process.env.SPOONACULAR_KEY
+  ? createSpoonacular({
+    apiKey: process.env.SPOONACULAR_KEY,
+    ttlMs: Number(process.env.SPOONACULAR_TTL_MINUTES || 360) * 60000
+  })
+  : null;
+const limitSpoonacular = rateLimiter.limit('spoonacular');
+
+// Cache hits skip the rate limit; misses spend it like the upstream quota
+function proxySpoonacular(req, res, kind, arg) {
+  const run = async () => {
+    try {
+      const result = await spoonacular[kind](arg);
+      const quota = spoonacular.quota();
+      res.set('X-Cache', result.cache);
+      if (quota) {
+        if (quota.request !== undefined) res.set('X-API-Quota-Request', String(quota.request));
+        if (quota.used !== undefined) res.set('X-API-Quota-Used', String(quota.used));
+        if (quota.left !== undefined) res.set('X-API-Quota-Left', String(quota.left));
+      }
+      res.status(result.status).json(result.data);
+    } catch (err) {
+      console.error('Spoonacular fetch failed', err);
+      res.status(500).json({ error: 'failed' });
+    }
+  };
+  if (spoonacular.isCached(kind, arg)) return run();
+  limitSpoonacular(req, res, run);
+}
+
+// ?query=&diet=&intolerances=&cuisine=&maxReadyTime=&number=&offset=
+app.get('/api/spoonacular', (req, res) => {
+  if (!spoonacular) {
+    return res.status(500).json({ error: 'missing api key' });
+  }
+  const { params, error } = searchParams(req.query);
+  if (error) return res.status(400).json({ error });
+  proxySpoonacular(req, res, 'search', params);
+});
+
+app.get('/api/spoonacular/recipes/:id', (req, res) => {
+  if (!spoonacular) return res.status(500).json({ error: 'missing api key' });
+  if (!/^\d{1,10}$/.test(req.params.id)) return res.status(400).json({ error: 'invalid id' });
+  proxySpoonacular(req, res, 'recipe', req.params.id);
+});
+
+// Last quota headers Spoonacular sent: { request, used, left, updatedAt }
+app.get('/api/spoonacular/quota', (req, res) => {
+  if (!spoonacular) return res.status(500).json({ error: 'missing api key' });
+  res.json({ quota: spoonacular.quota() });
+});
+
 // --- GeoLayers game endpoints ---
-const layerOrder = ['rivers','lakes','elevation','roads','outline','cities','label'];
 const countriesPath = path.join(__dirname, '../geolayers-game/public/countries.json');
+// Per-country layer files; LAYER_DATA_DIR points elsewhere (tests, separate data volumes)
+const dataDir = process.env.LAYER_DATA_DIR || path.join(__dirname, '../geolayers-game/public/data');
 let countryData = [];
 try {
   countryData = JSON.parse(fs.readFileSync(countriesPath, 'utf8'));
@@ -217,217 +440,961 @@ try {
   countryData = [];
 }
 const locations = countryData.map(c => c.code);
-const leaderboard = [];
+const leaderboard = createLeaderboard(process.env.LEADERBOARD_FILE || path.join(__dirname, 'leaderboard.json'));
 const countryNames = Object.fromEntries(countryData.map(c => [c.code, c.name]));
 
-async function fetchCitiesForCountry(iso3) {
-  const endpoint = 'https://query.wikidata.org/sparql';
-  const query = `
-SELECT ?city ?cityLabel ?population ?coord WHERE {
-  ?country wdt:P298 "${iso3}".
-  ?city (wdt:P31/wdt:P279*) wd:Q515;
-        wdt:P17 ?country;
-        wdt:P625 ?coord.
-  OPTIONAL { ?city wdt:P1082 ?population. }
-  SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
-}
-ORDER BY DESC(?population)
-LIMIT 10`;
-  const url = endpoint + '?format=json&query=' + encodeURIComponent(query);
-  const res = await fetch(url, {
-    headers: {
-      'Accept': 'application/sparql-results+json',
-      'User-Agent': 'dashboard-app/1.0'
-    }
-  });
-  if (!res.ok) throw new Error('SPARQL query failed');
-  const data = await res.json();
-  const features = data.results.bindings
-    .map(b => {
-      const m = /Point\(([-\d\.eE]+)\s+([-\d\.eE]+)\)/.exec(b.coord.value);
-      if (!m) return null;
-      const lon = Number(m[1]);
-      const lat = Number(m[2]);
-      if (!Number.isFinite(lon) || !Number.isFinite(lat)) return null;
-      return {
-        type: 'Feature',
-        geometry: { type: 'Point', coordinates: [lon, lat] },
-        properties: {
-          name: b.cityLabel?.value || '',
-          population: b.population ? Number(b.population.value) : null
-        }
-      };
-    })
-    .filter(Boolean);
-  return { type: 'FeatureCollection', features };
+// Cities come from the first provider with data: the cached Natural Earth file,
+// then Wikidata, then fixtures. Missing or expired files refresh in the background.
+const cityStore = createCityStore({
+  dataDir,
+  providers: cityProviders(process.env.CITY_PROVIDERS || (process.env.NODE_ENV === 'test' ? 'fixtures' : undefined), {
+    naturalEarthFile: process.env.CITY_NE_FILE || path.join(__dirname, '../scripts/ne_10m_populated_places_simple.geojson'),
+    fixturesDir: process.env.CITY_FIXTURES_DIR || path.join(__dirname, '../tests/fixtures/cities')
+  }),
+  ttlDays: Number(process.env.CITY_TTL_DAYS || 30),
+  onResult: (iso3, result) => cityRefreshes.inc({ result })
+});
+
+if (process.env.NODE_ENV !== 'test' && !process.env.VITEST) {
+  cityStore.ensureAll(locations).catch(err => console.error('City prefetch failed', err));
 }
 
-async function ensureCitiesForCountry(code) {
-  const dir = path.join(__dirname, '../geolayers-game/public/data', code);
-  const file = path.join(dir, 'cities.geojson');
-  if (!fs.existsSync(file)) {
-    const geo = await fetchCitiesForCountry(code);
-    fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(file, JSON.stringify(geo));
-    console.log('Fetched cities for', code);
+// The schedule is derived from DAILY_SEED and countries.json, so anyone who knows
+// the seed can work out upcoming days; production must set its own secret seed.
+if (process.env.NODE_ENV === 'production' && !process.env.DAILY_SEED) {
+  throw new Error('DAILY_SEED must be set in production');
+}
+const dailySeed = process.env.DAILY_SEED || 'geolayers-daily';
+const scheduler = createScheduler({
+  seed: dailySeed,
+  epoch: PUZZLE_EPOCH,
+  getCountries: () => countryData
+});
+
+// The scheduled country for a date, or when none of its layers are approved the
+// next one in the schedule that can play, skipping the countries either side of
+// the day. Null when no country can play at all.
+async function pickLocation(date) {
+  const day = puzzleNumber(date) - 1;
+  const scheduled = scheduler.pick(day);
+  if (await canPlay(scheduled)) return scheduled;
+  const nearby = new Set([scheduler.pick(day - 1), scheduler.pick(day + 1)]);
+  for (let i = 2; i <= locations.length + 1; i++) {
+    const loc = scheduler.pick(day + i);
+    if (!nearby.has(loc) && (await canPlay(loc))) return loc;
   }
-  return file;
+  return null;
 }
 
-async function ensureAllCities() {
-  for (const code of locations) {
-    try {
-      await ensureCitiesForCountry(code);
-    } catch (err) {
-      console.error('Failed to fetch cities for', code, err);
-    }
+// A random country for practice and race rooms, passing over ones that can't play
+async function randomLocation() {
+  const offset = crypto.randomInt(locations.length);
+  for (let i = 0; i < locations.length; i++) {
+    const loc = locations[(offset + i) % locations.length];
+    if (await canPlay(loc)) return loc;
   }
+  return null;
 }
 
-if (process.env.NODE_ENV !== 'test' && !process.env.VITEST) {
-  ensureAllCities().catch(err => console.error('City prefetch failed', err));
+async function canPlay(loc) {
+  return !!loc && roundsFor(await playableLayers(loc)).length > 0;
+}
+
+// Without PUZZLE_SECRET tokens only survive until the next restart
+const puzzleSecret = process.env.PUZZLE_SECRET || crypto.randomBytes(32).toString('hex');
+const puzzleTokens = createPuzzleTokens(puzzleSecret);
+const roundTracker = createRoundTracker({ secret: 'round:' + puzzleSecret });
+
+// `auth` is what the layer routes need to find the player's round: { roundToken },
+// or { room, key } in a race
+function roundLayerUrls(token, layers, auth) {
+  const query = new URLSearchParams(auth).toString();
+  return layers.map(l => `/puzzle/${token}/layer/${l}?${query}`);
+}
+
+// Review decisions from the GeoLayers admin; keep the file with the deployment
+const approvals = createApprovals(process.env.APPROVALS_FILE || path.join(__dirname, 'layer-approvals.json'));
+
+// Layers a puzzle may use: present in the manifest and approved by an admin
+async function playableLayers(loc) {
+  const approved = approvals.approved(loc);
+  return new Set(Array.from(await layerManifest.available(loc)).filter(name => approved.has(name)));
+}
+
+// Layers that belong to a puzzle's rounds; anything else stays hidden behind its token
+function puzzleLayers(puzzle) {
+  return (puzzle.rounds || ROUNDS).flat();
+}
+
+// Layers a player has been shown: every round up to the one the server has them
+// on, and all of them once the puzzle is over
+function revealedLayers(puzzle, progress) {
+  const rounds = puzzle.rounds || ROUNDS;
+  return (progress.finished ? rounds : rounds.slice(0, progress.round)).flat();
 }
 
-function dailySeed() {
-  const today = new Date().toISOString().slice(0,10);
-  let seed = 0;
-  for (const c of today) {
-    seed = (seed * 31 + c.charCodeAt(0)) >>> 0;
+// Bounds of the given layers, so the client can frame the map before the outline
+// is revealed; null when none of them has features
+async function layersBbox(loc, layers) {
+  const box = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const entry of await layerManifest.layers(loc)) {
+    if (!entry.bbox || !layers.includes(entry.name === 'rivers_highres' ? 'rivers' : entry.name)) continue;
+    box[0] = Math.min(box[0], entry.bbox[0]);
+    box[1] = Math.min(box[1], entry.bbox[1]);
+    box[2] = Math.max(box[2], entry.bbox[2]);
+    box[3] = Math.max(box[3], entry.bbox[3]);
   }
-  return seed;
+  return Number.isFinite(box[0]) ? box : null;
 }
 
-function pickLocation() {
-  const seed = dailySeed();
-  return locations[seed % locations.length];
+// Rounds come from the approved manifest layers so a country never gets an empty
+// round; null when nothing is left to play. Only today's daily puzzle is `ranked`;
+// archive replays and /random are practice.
+async function puzzleResponse(loc, date, { ranked = false, players = [] } = {}) {
+  const available = await playableLayers(loc);
+  const rounds = roundsFor(available);
+  if (!rounds.length) return null;
+  const token = puzzleTokens.seal({ loc, date, rounds });
+  const roundToken = roundTracker.start({ game: 'geolayers', loc, date, puzzle: token, ranked, players });
+  return await puzzleView(roundTracker.lookup(roundToken), available);
 }
 
-app.get('/daily', (req, res) => {
-  const loc = pickLocation();
+// A tracked round as the client plays it, with every layer revealed up to the
+// round the server has it on (round 1 for a new puzzle)
+async function puzzleView(state, available) {
+  const rounds = puzzleTokens.open(state.puzzle).rounds;
+  const reveal = rounds.slice(0, state.round).flat();
+  return {
+    token: state.puzzle,
+    roundToken: state.token,
+    ranked: state.ranked,
+    date: state.date,
+    number: state.date ? puzzleNumber(state.date) : null,
+    round: state.round,
+    maxRounds: rounds.length,
+    tiled: prefersTiles(state.loc),
+    available: Array.from(available),
+    bbox: await layersBbox(state.loc, reveal),
+    reveal,
+    layers: roundLayerUrls(state.puzzle, reveal, { roundToken: state.token })
+  };
+}
+
+// Who starts a round: the client address, and their profile when the request
+// names one with its key in X-Profile-Id / X-Profile-Key. Most specific first.
+function roundPlayers(req) {
+  const players = [`ip:${req.ip}`];
+  const id = req.get('X-Profile-Id');
+  if (id && profiles.authorize(id, req.get('X-Profile-Key'))) players.unshift(`profile:${id}`);
+  return players;
+}
+
+// ?date=YYYY-MM-DD replays an archived day; future dates are never served
+app.get('/daily', rateLimiter.limit('puzzles'), async (req, res) => {
+  const today = todayUTC();
+  const date = req.query.date === undefined ? today : req.query.date;
+  if (!isDateString(date) || date > today) {
+    return res.status(400).json({ error: 'invalid date' });
+  }
+  if (date < PUZZLE_EPOCH) {
+    return res.status(404).json({ error: 'no puzzle' });
+  }
+  try {
+    // Today's ranked round is handed back until it is finished, so a throwaway
+    // round can't show the answer first; later rounds are practice
+    const players = roundPlayers(req);
+    const open = date === today ? roundTracker.first('geolayers', date, players[0]) : null;
+    if (open && !open.finished) return res.json(await puzzleView(open, await playableLayers(open.loc)));
+    const loc = await pickLocation(date);
+    const puzzle = loc && (await puzzleResponse(loc, date, { ranked: date === today, players }));
+    if (!puzzle) return res.status(404).json({ error: 'no playable layers' });
+    res.json(puzzle);
+  } catch (err) {
+    console.error('Daily puzzle failed', err);
+    res.status(500).json({ error: 'failed' });
+  }
+});
+
+app.get('/archive', (req, res) => {
+  res.json(archiveDates(todayUTC()));
+});
+
+app.get('/random', rateLimiter.limit('puzzles'), async (req, res) => {
+  if (!locations.length) return res.status(404).json({ error: 'no locations' });
+  try {
+    const loc = await randomLocation();
+    const puzzle = loc && (await puzzleResponse(loc, null));
+    if (!puzzle) return res.status(404).json({ error: 'no playable layers' });
+    res.json(puzzle);
+  } catch (err) {
+    console.error('Random puzzle failed', err);
+    res.status(500).json({ error: 'failed' });
+  }
+});
+
+// Guesses may be a country name or code
+function resolveGuess(guess) {
+  const byName = Object.keys(countryNames).find(c => countryNames[c].toLowerCase() === guess.trim().toLowerCase());
+  return (byName || guess).trim().toUpperCase();
+}
+
+// The round is tracked server-side through the roundToken handed out with the
+// puzzle; the answer is only sent once that tracked round is finished
+app.post('/daily/guess', (req, res) => {
+  const { token, guess, roundToken } = req.body || {};
+  const puzzle = puzzleTokens.open(token);
+  if (!puzzle) return res.status(404).json({ error: 'unknown puzzle' });
+  const state = roundTracker.lookup(roundToken);
+  if (!state || state.puzzle !== token) return res.status(400).json({ error: 'invalid round token' });
+  if (state.finished) return res.status(409).json({ error: 'round finished' });
+  if (typeof guess !== 'string') return res.status(400).json({ error: 'invalid' });
+  const code = resolveGuess(guess);
+  const result = evaluateGuess(puzzle.loc, code, state.round, puzzle.rounds || ROUNDS);
+  roundTracker.record(state, code, result);
+  res.json({
+    ...result,
+    layers: roundLayerUrls(token, result.reveal, { roundToken }),
+    score: state.finished ? scoreFor(result.round, result.correct) : undefined,
+    answer: state.finished ? { code: puzzle.loc, name: countryNames[puzzle.loc] || puzzle.loc } : undefined
+  });
+});
+
+// --- Race rooms: friends play the same random puzzle from a shared countdown ---
+const rooms = createRooms({ countdownMs: Number(process.env.ROOM_COUNTDOWN_MS || 5000) });
+
+function roomError(res, error) {
+  const status = error === 'room not found' ? 404 : error === 'name required' ? 400 : 409;
+  return res.status(status).json({ error });
+}
+
+function joinedResponse({ room, player }) {
+  return { code: room.code, playerId: player.id, key: player.key, room: rooms.snapshot(room) };
+}
+
+app.post('/rooms', async (req, res) => {
+  if (!locations.length) return res.status(404).json({ error: 'no locations' });
+  try {
+    const loc = await randomLocation();
+    const rounds = loc ? roundsFor(await playableLayers(loc)) : [];
+    if (!rounds.length) return res.status(404).json({ error: 'no playable layers' });
+    const created = rooms.create({
+      name: (req.body || {}).name,
+      loc,
+      rounds,
+      token: puzzleTokens.seal({ loc, date: null, rounds }),
+      bbox: await layersBbox(loc, rounds[0]),
+      answer: { code: loc, name: countryNames[loc] || loc }
+    });
+    if (created.error) return roomError(res, created.error);
+    res.status(201).json(joinedResponse(created));
+  } catch (err) {
+    console.error('Room creation failed', err);
+    res.status(500).json({ error: 'failed' });
+  }
+});
+
+app.post('/rooms/:code/join', (req, res) => {
+  const joined = rooms.join(req.params.code, (req.body || {}).name);
+  if (joined.error) return roomError(res, joined.error);
+  res.json(joinedResponse(joined));
+});
+
+app.get('/rooms/:code', (req, res) => {
+  const room = rooms.get(req.params.code);
+  if (!room) return roomError(res, 'room not found');
+  res.json(rooms.snapshot(room));
+});
+
+app.post('/rooms/:code/start', (req, res) => {
+  const started = rooms.start(req.params.code, (req.body || {}).key);
+  if (started.error) return roomError(res, started.error);
+  res.json(rooms.snapshot(started.room));
+});
+
+app.post('/rooms/:code/guess', (req, res) => {
+  const { key, guess } = req.body || {};
+  if (typeof guess !== 'string' || !guess.trim()) return res.status(400).json({ error: 'invalid' });
+  const out = rooms.guess(req.params.code, key, resolveGuess(guess));
+  if (out.error) return roomError(res, out.error);
+  const { room, player, result } = out;
   res.json({
-    locationId: loc,
-    layers: layerOrder.map(l => `/layer/${loc}/${l}`)
+    ...result,
+    layers: roundLayerUrls(room.token, result.reveal, { room: room.code, key }),
+    score: player.score === null ? undefined : player.score,
+    timeMs: player.timeMs === null ? undefined : player.timeMs,
+    answer: result.finished ? room.answer : undefined
   });
 });
 
+app.post('/rooms/:code/leave', (req, res) => {
+  const left = rooms.leave(req.params.code, (req.body || {}).key);
+  if (left.error) return roomError(res, left.error);
+  res.json({ ok: true });
+});
+
+// Starts with the current room snapshot, then one named event per room change
+app.get('/rooms/:code/events', (req, res) => {
+  const room = rooms.get(req.params.code);
+  if (!room) return roomError(res, 'room not found');
+  const send = openEventStream(req, res);
+  send('room', rooms.snapshot(room));
+  const unsubscribe = rooms.subscribe(room.code, send);
+  req.on('close', unsubscribe);
+});
+
+// Puzzle layers, and their tiles below, are only served once revealed to the
+// player named by ?roundToken= (or ?room=&key= in a race). Answers the request
+// and returns null otherwise.
+function revealedPuzzle(req, res, name) {
+  const puzzle = puzzleTokens.open(req.params.token);
+  const progress = puzzle && puzzleProgress(req.params.token, req.query);
+  if (!puzzle || !puzzleLayers(puzzle).includes(name)) {
+    layerNotFound(res, name);
+  } else if (!progress) {
+    res.status(400).json({ error: 'invalid round token' });
+  } else if (!revealedLayers(puzzle, progress).includes(name)) {
+    res.status(403).json({ error: 'layer locked' });
+  } else {
+    return puzzle;
+  }
+  return null;
+}
+
+app.get('/puzzle/:token/layer/:name', (req, res) => {
+  const puzzle = revealedPuzzle(req, res, req.params.name);
+  if (!puzzle) return;
+  return sendLayer(req, res, puzzle.loc, req.params.name, { token: req.params.token });
+});
+
 app.get('/countries', (req, res) => {
   const list = Object.entries(countryNames).map(([code, name]) => ({ code, name }));
   res.json(list);
 });
 
-app.get('/layer/:loc/:name', async (req, res) => {
-  const { loc, name } = req.params;
-  const baseDir = path.join(__dirname, '../geolayers-game/public/data', loc);
+// ?bbox=minLon,minLat,maxLon,maxLat&tolerance=deg|zoom=z&maxFeatures=n
+// Returns null when there is nothing to do, undefined when a param is invalid.
+function layerParams(query) {
+  const bbox = parseBbox(query.bbox);
+  if (bbox === undefined) return undefined;
+  let tolerance = 0;
+  if (query.tolerance !== undefined) {
+    tolerance = Number(query.tolerance);
+    if (!Number.isFinite(tolerance) || tolerance < 0) return undefined;
+  } else if (query.zoom !== undefined) {
+    const z = Number(query.zoom);
+    if (!Number.isInteger(z) || z < 0 || z > 22) return undefined;
+    tolerance = toleranceForZoom(z);
+  }
+  let maxFeatures = 0;
+  if (query.maxFeatures !== undefined) {
+    maxFeatures = Number(query.maxFeatures);
+    if (!Number.isInteger(maxFeatures) || maxFeatures < 1) return undefined;
+  }
+  if (!bbox && !tolerance && !maxFeatures) return null;
+  return { bbox, tolerance, maxFeatures };
+}
+
+// Processed layers, keyed by file, mtime and params; least recently used go first
+const layerCache = new Map();
+const LAYER_CACHE_BYTES = 64 * 1024 * 1024;
+let layerCacheBytes = 0;
+
+// Puzzle layers keep only the properties the game draws; tags like the outline's
+// iso3, continent or neighbours would give the country away
+const PUZZLE_PROPERTIES = { cities: ['name'] };
+
+function puzzleProperties(name) {
+  return PUZZLE_PROPERTIES[name] || [];
+}
+
+async function processedLayer(file, params) {
+  const stat = await fs.promises.stat(file);
+  const key = [file, stat.mtimeMs, params.bbox ? params.bbox.join(',') : '', params.tolerance, params.maxFeatures, params.keep ? params.keep.join(',') : ''].join('|');
+  if (layerCache.has(key)) {
+    const hit = layerCache.get(key);
+    layerCache.delete(key);
+    layerCache.set(key, hit);
+    return hit;
+  }
+  let fc = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  if (params.bbox) fc = clipGeoJSON(fc, params.bbox);
+  if (params.tolerance) fc = simplifyGeoJSON(fc, params.tolerance);
+  if (params.maxFeatures) fc = capFeatures(fc, params.maxFeatures);
+  if (params.keep) fc = stripProperties(fc, params.keep);
+  const body = JSON.stringify(fc);
+  layerCache.set(key, body);
+  layerCacheBytes += body.length;
+  for (const [k, v] of layerCache) {
+    if (layerCacheBytes <= LAYER_CACHE_BYTES) break;
+    layerCache.delete(k);
+    layerCacheBytes -= v.length;
+  }
+  return body;
+}
+
+const layerManifest = createManifest(dataDir);
+
+// File backing a layer name; rivers prefer the high-res file when there is one
+async function layerFile(loc, name) {
+  const baseDir = path.join(dataDir, loc);
   let file = path.join(baseDir, `${name}.geojson`);
   if (name === 'rivers') {
     const hi = path.join(baseDir, 'rivers_highres.geojson');
     if (fs.existsSync(hi)) file = hi;
   }
-  if (name === 'cities' && !fs.existsSync(file)) {
+  // Serve whatever is on disk now; a missing or stale file is refreshed for later requests
+  if (name === 'cities') cityStore.ensure(loc).catch(err => console.error('City refresh check failed', loc, err));
+  return file;
+}
+
+function layerNotFound(res, layer) {
+  layerMisses.inc({ layer: LAYER_NAMES.includes(layer) ? layer : 'unknown' });
+  return res.status(404).send('Layer not found');
+}
+
+function isKnownCountry(loc) {
+  return /^[A-Z]{3}$/.test(loc) && Object.prototype.hasOwnProperty.call(countryNames, loc);
+}
+
+// Siblings written by `npm run compress:layers`, in order of preference
+const PRECOMPRESSED = [['br', '.br'], ['gzip', '.gz']];
+
+async function precompressedFile(req, file, mtimeMs) {
+  for (const [encoding, ext] of PRECOMPRESSED) {
+    if (req.acceptsEncodings(encoding) !== encoding) continue;
     try {
-      await ensureCitiesForCountry(loc);
+      const stat = await fs.promises.stat(file + ext);
+      // A copy older than the layer is stale; fall back to the next one
+      if (stat.mtimeMs >= mtimeMs) return { encoding, file: file + ext, size: stat.size };
+    } catch {}
+  }
+  return null;
+}
+
+// Layers under a puzzle `token` always go through processing so their properties
+// can be stripped, and get validators that /layers/:loc can't be matched against
+async function sendLayer(req, res, loc, name, { token = null } = {}) {
+  if (!isKnownCountry(loc) || !LAYER_NAMES.includes(name)) return layerNotFound(res, name);
+  let params = layerParams(req.query || {});
+  if (params === undefined) return res.status(400).json({ error: 'invalid params' });
+  if (token) params = { bbox: null, tolerance: 0, maxFeatures: 0, ...params, keep: puzzleProperties(name) };
+  const file = await layerFile(loc, name);
+  let info;
+  try {
+    info = await layerManifest.describe(path.basename(file, '.geojson'), file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return layerNotFound(res, name);
+    console.error('Layer stat failed', file, err);
+    return res.status(500).send('Layer read failed');
+  }
+  // Weak validators: the same content may go out raw, gzip or brotli encoded
+  const variant = params
+    ? '-' + crypto.createHash('sha1').update(JSON.stringify(params)).digest('hex').slice(0, 12)
+    : '';
+  if (token) {
+    // The manifest publishes each layer's hash and date, so neither may show here
+    const tag = crypto.createHmac('sha256', puzzleSecret).update(`${token}|${info.hash}${variant}`).digest('hex').slice(0, 32);
+    res.set({ ETag: `W/"${tag}"`, 'Cache-Control': 'no-cache' });
+  } else {
+    res.set({
+      ETag: `W/"${info.hash.slice(0, 32)}${variant}"`,
+      'Last-Modified': new Date(info.modified).toUTCString(),
+      'Cache-Control': 'no-cache'
+    });
+  }
+  res.vary('Accept-Encoding');
+  if (req.fresh) return res.status(304).end();
+  res.type('application/json');
+  if (params) {
+    try {
+      const body = await processedLayer(file, params);
+      layerBytes.inc({ layer: name }, Buffer.byteLength(body));
+      res.send(body);
     } catch (err) {
-      console.error('ensureCitiesForCountry failed', err);
+      if (err.code === 'ENOENT') return layerNotFound(res, name);
+      console.error('Layer processing failed', file, err);
+      res.status(500).send('Layer processing failed');
     }
+    return;
+  }
+  const pre = await precompressedFile(req, file, Date.parse(info.modified));
+  if (pre) res.set('Content-Encoding', pre.encoding);
+  res.set('Content-Length', String(pre ? pre.size : info.bytes));
+  if (req.method === 'HEAD') return res.end();
+  layerBytes.inc({ layer: name }, pre ? pre.size : info.bytes);
+  fs.createReadStream(pre ? pre.file : file)
+    .on('error', err => {
+      console.error('Layer read failed', file, err);
+      res.destroy(err);
+    })
+    .pipe(res);
+}
+
+app.get('/layers/:loc', async (req, res) => {
+  if (!isKnownCountry(req.params.loc)) return res.status(404).json({ error: 'unknown country' });
+  try {
+    const layers = await layerManifest.layers(req.params.loc);
+    if (!layers.length) return res.status(404).json({ error: 'no layers' });
+    res.json({ loc: req.params.loc, layers });
+  } catch (err) {
+    console.error('Layer manifest failed', err);
+    res.status(500).json({ error: 'failed' });
   }
-  fs.readFile(file, 'utf8', (err, data) => {
-    if (err) return res.status(404).send('Layer not found');
-    res.type('application/json').send(data);
-  });
 });
 
-app.post('/score', (req, res) => {
-  const { playerName, score } = req.body || {};
-  if (typeof playerName === 'string' && typeof score === 'number') {
-    leaderboard.push({ playerName, score });
-    leaderboard.sort((a, b) => b.score - a.score);
-    res.json({ status: 'ok' });
-  } else {
-    res.status(400).json({ error: 'invalid' });
+app.get('/layer/:loc/:name', (req, res) => sendLayer(req, res, req.params.loc, req.params.name));
+
+// --- Hints: facts about the country from its outline, cities and elevation layers ---
+const hints = createHints({ dataDir, codes: () => locations });
+
+function hintLevel(value) {
+  const level = Number(value);
+  return Number.isInteger(level) && level >= 1 && level <= HINT_LEVELS.length ? level : null;
+}
+
+async function sendHints(res, loc, levelParam) {
+  const level = hintLevel(levelParam);
+  if (!level) return res.status(400).json({ error: 'invalid level' });
+  try {
+    res.json(await hints.hints(loc, level));
+  } catch (err) {
+    console.error('Hints failed', loc, err);
+    res.status(500).json({ error: 'failed' });
+  }
+}
+
+app.get('/hint/:loc/:level', (req, res) => {
+  if (!isKnownCountry(req.params.loc)) return res.status(404).json({ error: 'unknown country' });
+  return sendHints(res, req.params.loc, req.params.level);
+});
+
+// Where a player stands in a puzzle, from the server's own record: the roundToken
+// for solo play, the room code and player key in a race
+function puzzleProgress(token, { roundToken, room: code, key } = {}) {
+  if (code !== undefined) {
+    const found = rooms.member(code, key);
+    return !found.error && found.room.token === token ? found.player : null;
+  }
+  const state = roundTracker.lookup(roundToken);
+  return state && state.puzzle === token ? state : null;
+}
+
+// Game mode asks through the puzzle token so the country stays hidden. Each wrong
+// guess unlocks one level; a finished round may see them all.
+app.post('/puzzle/:token/hint/:level', (req, res) => {
+  const puzzle = puzzleTokens.open(req.params.token);
+  if (!puzzle) return res.status(404).json({ error: 'unknown puzzle' });
+  const progress = puzzleProgress(req.params.token, req.body || {});
+  if (!progress) return res.status(400).json({ error: 'invalid round token' });
+  const level = hintLevel(req.params.level);
+  if (level && !progress.finished && level > progress.round - 1) return res.status(403).json({ error: 'hint locked' });
+  return sendHints(res, puzzle.loc, req.params.level);
+});
+
+// --- Vector tiles: per-tile, zoom-simplified GeoJSON cut from the layer files ---
+const TILED_LAYERS = ['rivers', 'roads', 'elevation'];
+const tiler = createTiler({ cacheDir: process.env.TILE_CACHE_DIR || path.join(__dirname, 'tile-cache') });
+
+async function sendTile(req, res, loc, layer, { puzzle = false } = {}) {
+  const [z, x, y] = [req.params.z, req.params.x, req.params.y].map(Number);
+  if (!isKnownCountry(loc)) return layerNotFound(res, layer);
+  if (!TILED_LAYERS.includes(layer) || !isValidTile(z, x, y)) {
+    return res.status(400).json({ error: 'invalid tile' });
+  }
+  const file = await layerFile(loc, layer);
+  try {
+    let body = await tiler.tile(file, `${loc}/${path.basename(file, '.geojson')}`, z, x, y);
+    if (puzzle) body = JSON.stringify(stripProperties(JSON.parse(body), puzzleProperties(layer)));
+    layerBytes.inc({ layer }, Buffer.byteLength(body));
+    res.type('application/json').send(body);
+  } catch (err) {
+    if (err.code === 'ENOENT') return layerNotFound(res, layer);
+    console.error('Tile generation failed', file, err);
+    res.status(500).send('Tile generation failed');
+  }
+}
+
+app.get('/tiles/:loc/:layer/:z/:x/:y', rateLimiter.limit('tiles'), (req, res) => {
+  sendTile(req, res, req.params.loc, req.params.layer);
+});
+
+app.get('/puzzle/:token/tiles/:layer/:z/:x/:y', rateLimiter.limit('tiles'), (req, res) => {
+  const puzzle = revealedPuzzle(req, res, req.params.layer);
+  if (!puzzle) return;
+  sendTile(req, res, puzzle.loc, req.params.layer, { puzzle: true });
+});
+
+// --- Admin login: ADMIN_TOKEN is the password; everything else under /api/admin needs the session ---
+
+app.get('/api/admin/session', (req, res) => {
+  res.json({ enabled: adminAuth.enabled, admin: adminAuth.isAdmin(req) });
+});
+
+app.post('/api/admin/login', rateLimiter.limit('adminLogin'), (req, res) => {
+  if (!adminAuth.enabled) return res.status(503).json({ error: 'admin disabled' });
+  if (!adminAuth.login(req, res, (req.body || {}).password)) return res.status(401).json({ error: 'wrong password' });
+  res.json({ admin: true });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  adminAuth.logout(req, res);
+  res.json({ admin: false });
+});
+
+app.use('/api/admin', adminAuth.requireAdmin);
+
+// --- Contact outbox listing ---
+app.get('/api/admin/contact', (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'sent', 'failed'].includes(status)) return res.status(400).json({ error: 'invalid status' });
+  res.set('Cache-Control', 'no-store');
+  res.json({ messages: contactOutbox.list({ status }) });
+});
+
+app.post('/api/admin/contact/:id/retry', (req, res) => {
+  const msg = contactOutbox.retry(req.params.id);
+  if (!msg) return res.status(404).json({ error: 'not found' });
+  res.json(msg);
+});
+
+// --- GeoLayers admin: per-country layer approvals ---
+app.get('/api/admin/approvals', async (req, res) => {
+  try {
+    const decisions = approvals.all();
+    const countries = [];
+    for (const code of locations) {
+      const available = await layerManifest.available(code);
+      const layers = {};
+      for (const layer of APPROVAL_LAYERS) {
+        layers[layer] = { available: available.has(layer), status: approvals.status(code, layer), ...(decisions[code] || {})[layer] };
+      }
+      countries.push({ code, name: countryNames[code] || code, layers });
+    }
+    res.json({ layers: APPROVAL_LAYERS, countries });
+  } catch (err) {
+    console.error('Approval listing failed', err);
+    res.status(500).json({ error: 'failed' });
   }
 });
 
+// Body: { status: 'approved' | 'rejected' | 'unreviewed' }
+app.put('/api/admin/approvals/:loc/:layer', (req, res) => {
+  const { loc, layer } = req.params;
+  const { status } = req.body || {};
+  if (!isKnownCountry(loc)) return res.status(404).json({ error: 'unknown country' });
+  if (!APPROVAL_LAYERS.includes(layer) || !STATUSES.includes(status)) return res.status(400).json({ error: 'invalid' });
+  res.json({ loc, layer, ...approvals.set(loc, layer, status) });
+});
+
+// Countries whose line layers are big enough that the client should render them from tiles
+const TILED_THRESHOLD_BYTES = Number(process.env.TILED_THRESHOLD_BYTES || 8 * 1024 * 1024);
+
+function prefersTiles(loc) {
+  let bytes = 0;
+  for (const name of ['rivers_highres', 'roads', 'elevation']) {
+    try {
+      bytes += fs.statSync(path.join(dataDir, loc, `${name}.geojson`)).size;
+    } catch {}
+  }
+  return bytes > TILED_THRESHOLD_BYTES;
+}
+
+// --- GeoScore daily round: the day's questions, answered once and scored here ---
+const geoscore = createGeoScore({
+  file: process.env.GEOSCORE_QUESTIONS_FILE || path.join(__dirname, '../geoscore_questions.json'),
+  seed: dailySeed
+});
+
+app.get('/geoscore/daily', rateLimiter.limit('puzzles'), (req, res) => {
+  const date = todayUTC();
+  const questions = geoscore.questions(date);
+  if (!questions.length) return res.status(404).json({ error: 'no questions' });
+  // Like /daily: the open ranked round comes back until its answers are in
+  const players = roundPlayers(req);
+  const open = roundTracker.first('geoscore', date, players[0]);
+  const state = open && !open.finished
+    ? open
+    : roundTracker.lookup(roundTracker.start({ game: 'geoscore', date, ranked: true, players }));
+  res.json({ date, questions, roundToken: state.token, ranked: state.ranked });
+});
+
+app.post('/geoscore/answers', rateLimiter.limit('score'), (req, res) => {
+  const { roundToken, answers } = req.body || {};
+  const state = roundTracker.lookup(roundToken);
+  if (!state || state.game !== 'geoscore') return res.status(400).json({ error: 'invalid round token' });
+  if (state.finished) return res.status(409).json({ error: 'round finished' });
+  if (!Array.isArray(answers) || answers.some(a => typeof a !== 'string')) return res.status(400).json({ error: 'invalid' });
+  const out = geoscore.score(state.date, answers);
+  roundTracker.settle(state, out.score);
+  res.json(out);
+});
+
+// Scores need a finished round from /daily, /random or /geoscore/daily. Practice
+// rounds, and every round after a player's first of the day, are accepted but not
+// ranked. A profile with a claimed name scores under that name.
+app.post('/score', rateLimiter.limit('score'), (req, res) => {
+  const { score, roundToken, profileId, profileKey } = req.body || {};
+  const profile = profileId ? profiles.authorize(profileId, profileKey) : null;
+  if (profileId && !profile) return res.status(400).json({ error: 'invalid profile' });
+  const playerName = (profile && profile.name) || (req.body || {}).playerName;
+  if (typeof playerName !== 'string' || !playerName.trim() || typeof score !== 'number' || !Number.isFinite(score)) {
+    return res.status(400).json({ error: 'invalid' });
+  }
+  const { state, error } = roundTracker.claim(roundToken, score);
+  if (error) return res.status(400).json({ error });
+  if (!state.ranked) return res.json({ status: 'unranked' });
+  leaderboard.add({
+    game: state.game,
+    date: state.date,
+    locationId: state.loc,
+    playerName: playerName.trim().slice(0, 40),
+    score
+  });
+  res.json({ status: 'ok' });
+});
+
+// --- Player profiles: anonymous id + secret key, optional display name ---
+const profiles = createProfiles(process.env.PROFILES_FILE || path.join(__dirname, 'profiles.json'));
+
+function profileError(res, error) {
+  const status = error === 'invalid profile' ? 403 : error === 'name taken' ? 409 : 400;
+  return res.status(status).json({ error });
+}
+
+app.post('/profiles', rateLimiter.limit('profiles'), (req, res) => {
+  res.status(201).json(profiles.create());
+});
+
+app.post('/profiles/import', rateLimiter.limit('profiles'), (req, res) => {
+  const found = profiles.importCode((req.body || {}).code);
+  if (!found) return res.status(400).json({ error: 'invalid code' });
+  res.json({ ...found, profile: profiles.view(profiles.get(found.id)) });
+});
+
+app.get('/profiles/:id', (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: 'not found' });
+  res.json(profiles.view(profile));
+});
+
+app.post('/profiles/:id/claim', (req, res) => {
+  const { key, name } = req.body || {};
+  const out = profiles.claim(req.params.id, key, name);
+  if (out.error) return profileError(res, out.error);
+  res.json(profiles.view(out.profile));
+});
+
+// Stats come from the server's record of the round, never from the client
+app.post('/profiles/:id/results', (req, res) => {
+  const { key, roundToken } = req.body || {};
+  if (!profiles.authorize(req.params.id, key)) return profileError(res, 'invalid profile');
+  const state = roundTracker.lookup(roundToken);
+  if (!state || state.game !== 'geolayers') return res.status(400).json({ error: 'invalid token' });
+  if (!state.finished) return res.status(409).json({ error: 'round not finished' });
+  if (state.profiled) return res.status(409).json({ error: 'already recorded' });
+  state.profiled = true;
+  const out = profiles.record(req.params.id, key, {
+    game: state.game,
+    date: state.date,
+    loc: state.loc,
+    solved: state.solved,
+    rounds: state.round,
+    score: scoreFor(state.round, state.solved)
+  });
+  res.json(profiles.view(out.profile));
+});
+
+app.post('/profiles/:id/export', (req, res) => {
+  const code = profiles.exportCode(req.params.id, (req.body || {}).key);
+  if (!code) return profileError(res, 'invalid profile');
+  res.json({ code });
+});
+
+// Shared parsing for ?game=&period=daily|weekly|all&date=YYYY-MM-DD
+function boardQuery(query) {
+  const { game, period = 'all', date = todayUTC() } = query || {};
+  if (game !== undefined && !GAMES.includes(game)) return null;
+  if (!PERIODS.includes(period) || !isDateString(date)) return null;
+  return { game, period, date };
+}
+
 app.get('/leaderboard', (req, res) => {
-  res.json(leaderboard.slice(0, 10));
+  const opts = boardQuery(req.query);
+  if (!opts) return res.status(400).json({ error: 'invalid' });
+  res.json(leaderboard.board(opts).slice(0, 10));
+});
+
+app.get('/leaderboard/page', (req, res) => {
+  const opts = boardQuery(req.query);
+  if (!opts) return res.status(400).json({ error: 'invalid' });
+  res.json(leaderboard.page({ ...opts, page: req.query.page, pageSize: req.query.pageSize }));
+});
+
+app.get('/leaderboard/rank/:player', (req, res) => {
+  const opts = boardQuery(req.query);
+  if (!opts) return res.status(400).json({ error: 'invalid' });
+  const row = leaderboard.rank(req.params.player, opts);
+  if (!row) return res.status(404).json({ error: 'not ranked' });
+  res.json(row);
 });
 
-app.get('/api/movies', async (req, res) => {
+// --- Movie catalog: loaded once, from MOVIES_FILE when set (offline) or the hosted list ---
+const movieCatalog = createMovieCatalog({
+  file: process.env.MOVIES_FILE,
+  url: process.env.MOVIES_URL || undefined
+});
+
+function catalogFailed(res, err) {
+  console.error('Failed to load movies', err);
+  res.status(502).json({ error: 'Failed to fetch movies' });
+}
+
+// ?q=&genre=&year=&sort=rating|year|title&order=asc|desc&page=&pageSize=
+app.get('/api/movies', rateLimiter.limit('movies'), async (req, res) => {
+  const { year, sort, order } = req.query;
+  if (year !== undefined && !/^\d{4}$/.test(year)) return res.status(400).json({ error: 'invalid year' });
+  if (sort !== undefined && !MOVIE_SORTS.includes(sort)) return res.status(400).json({ error: 'invalid sort' });
+  if (order !== undefined && !['asc', 'desc'].includes(order)) return res.status(400).json({ error: 'invalid order' });
+  try {
+    res.json(await movieCatalog.search(req.query));
+  } catch (err) {
+    catalogFailed(res, err);
+  }
+});
+
+app.get('/api/movies/genres', rateLimiter.limit('movies'), async (req, res) => {
+  try {
+    res.json(await movieCatalog.genres());
+  } catch (err) {
+    catalogFailed(res, err);
+  }
+});
+
+app.get('/api/movies/:id', rateLimiter.limit('movies'), async (req, res) => {
   try {
-    const url = 'https://raw.githubusercontent.com/FEND16/movie-json-data/master/json/top-rated-movies-01.json';
-    const { stdout } = await execFileAsync('curl', ['-sL', url], { maxBuffer: 5 * 1024 * 1024 });
-    const data = JSON.parse(stdout);
-    const results = data
-      .map(m => ({
-        title: m.title,
-        score: m.ratings.reduce((a, b) => a + b, 0) / m.ratings.length
-      }))
-      .slice(0, 10);
-    res.json(results);
+    const movie = await movieCatalog.get(req.params.id);
+    if (!movie) return res.status(404).json({ error: 'not found' });
+    res.json(movie);
   } catch (err) {
-    console.error('Failed to fetch movies', err);
-    res.status(500).json({ error: 'Failed to fetch movies' });
+    catalogFailed(res, err);
   }
 });
 
+// --- Plaid transactions: synced with transactionsSync, served by date range ---
+const plaidAccessToken = process.env.PLAID_ACCESS_TOKEN || (process.env.PLAID_STUB_FILE ? 'stub' : null);
+const transactionStore = plaidClient && plaidAccessToken
+  ? createTransactionStore({ client: plaidClient, accessToken: plaidAccessToken })
+  : null;
+
+// start/end default to the last month; returns null after answering 400
+function transactionRange(req, res) {
+  const end = req.query.end || todayUTC();
+  let start = req.query.start;
+  if (!start) {
+    const d = new Date(end + 'T00:00:00Z');
+    d.setUTCMonth(d.getUTCMonth() - 1);
+    start = d.toISOString().slice(0, 10);
+  }
+  if (!isDateString(start) || !isDateString(end) || start > end) {
+    res.status(400).json({ error: 'start and end must be YYYY-MM-DD, start first' });
+    return null;
+  }
+  return { start, end };
+}
+
+// ?start=&end=&count=&cursor= -> { transactions, total, nextCursor, accounts }
 app.get('/api/transactions', async (req, res) => {
-  if (!plaidClient || !process.env.PLAID_ACCESS_TOKEN) {
+  if (!transactionStore) {
     res.status(500).json({ error: 'Plaid not configured' });
     return;
   }
+  const range = transactionRange(req, res);
+  if (!range) return;
   try {
-    const start = new Date();
-    start.setMonth(start.getMonth() - 1);
-    const end = new Date();
-    const response = await plaidClient.transactionsGet({
-      access_token: process.env.PLAID_ACCESS_TOKEN,
-      start_date: start.toISOString().slice(0, 10),
-      end_date: end.toISOString().slice(0, 10)
-    });
-    res.json(response.data);
+    res.json(await transactionStore.list({ ...range, cursor: req.query.cursor, count: req.query.count }));
   } catch (err) {
     console.error('Plaid error', err);
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
 
+// Spending per month by category and merchant for ?start=&end=
+app.get('/api/transactions/summary', async (req, res) => {
+  if (!transactionStore) return res.status(500).json({ error: 'Plaid not configured' });
+  const range = transactionRange(req, res);
+  if (!range) return;
+  try {
+    res.json(await transactionStore.summary(range));
+  } catch (err) {
+    console.error('Plaid error', err);
+    res.status(500).json({ error: 'Failed to fetch transactions' });
+  }
+});
+
+// --- Health and metrics ---
+// 503 until the layer data directory is readable and countries.json has loaded
+app.get('/healthz', async (req, res) => {
+  const checks = { dataDir: false, countries: locations.length };
+  try {
+    await fs.promises.access(dataDir, fs.constants.R_OK);
+    checks.dataDir = true;
+  } catch {}
+  const ok = checks.dataDir && checks.countries > 0;
+  res.set('Cache-Control', 'no-store');
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'fail', uptime: Math.round(process.uptime()), checks });
+});
+
+// Set METRICS_TOKEN to require `Authorization: Bearer <token>` from the scraper
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('Authorization') !== `Bearer ${token}`) return res.status(401).send('Unauthorized');
+  res.set('Cache-Control', 'no-store');
+  res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
 const server = app.listen(PORT, () => {
   console.log(`✅ Serving static files at http://localhost:${PORT}`);
 });
 
-// --- Simple SSE live-reload for static asset changes (dev convenience) ---
-const sseClients = new Set();
-app.get('/livereload', (req, res) => {
+// --- Server-sent events ---
+// no-transform keeps compression() from buffering the stream. Returns
+// send(event, data); a comment line every 25s keeps proxies from closing it.
+function openEventStream(req, res) {
   res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
   res.setHeader('Connection', 'keep-alive');
   res.flushHeaders && res.flushHeaders();
   res.write(': connected\n\n');
-  sseClients.add(res);
-  req.on('close', () => sseClients.delete(res));
-});
-
-function broadcastReload(reason){
-  const msg = `data: reload:${reason || ''}\n\n`;
-  for(const res of Array.from(sseClients)){
-    try { res.write(msg); } catch { sseClients.delete(res); }
-  }
+  const ping = setInterval(() => res.write(': ping\n\n'), 25000);
+  ping.unref();
+  sseClientCount++;
+  req.on('close', () => {
+    clearInterval(ping);
+    sseClientCount--;
+  });
+  return (event, data) => {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch {}
+  };
 }
 
-function setupWatch(dir){
+// --- Live reload (dev only: LIVERELOAD=1 or NODE_ENV=development) ---
+// Changes are grouped per burst; pages swap CSS and GeoLayers reloads only the changed layer.
+if (process.env.LIVERELOAD === '1' || process.env.NODE_ENV === 'development') {
+  const root = path.resolve(__dirname, '../');
+  const liveReload = createLiveReload({ root });
+  app.get('/livereload', (req, res) => {
+    const send = openEventStream(req, res);
+    const unsubscribe = liveReload.subscribe(change => send('change', change));
+    req.on('close', unsubscribe);
+  });
   try {
-    fs.watch(dir, { recursive: true }, (eventType, filename) => {
-      if (!filename) return;
-      const f = String(filename);
-      if (!/\.(html|css|js|json|geojson)$/i.test(f)) return;
-      broadcastReload(`${eventType}:${f}`);
-    });
-    console.log('🔁 Watching for changes in', dir);
+    liveReload.start();
+    console.log('🔁 Watching for changes in', root);
   } catch (err) {
-    console.warn('fs.watch not supported for', dir, err && err.message);
+    console.warn('fs.watch not supported for', root, err && err.message);
   }
 }
 
-setupWatch(path.resolve(__dirname, '../'));
-setupWatch(path.resolve(__dirname, '../geolayers-game/public'));
-
 module.exports = server;
@@ -0,0 +1,109 @@
+const BASE_URL = 'https://api.spoonacular.com';
+
+const DIETS = ['gluten free', 'ketogenic', 'vegetarian', 'lacto-vegetarian', 'ovo-vegetarian', 'vegan', 'pescetarian', 'paleo', 'primal', 'low fodmap', 'whole30'];
+const INTOLERANCES = ['dairy', 'egg', 'gluten', 'grain', 'peanut', 'seafood', 'sesame', 'shellfish', 'soy', 'sulfite', 'tree nut', 'wheat'];
+const MAX_NUMBER = 50;
+const MAX_OFFSET = 900;
+const QUOTA_HEADERS = { request: 'x-api-quota-request', used: 'x-api-quota-used', left: 'x-api-quota-left' };
+
+// Comma list where every entry is one of `allowed` (case-insensitive)
+function listOf(allowed) {
+  return value => {
+    const items = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    return items.length && items.every(i => allowed.includes(i)) ? items.join(',') : undefined;
+  };
+}
+
+function intBetween(min, max) {
+  return value => {
+    const n = Number(value);
+    return Number.isInteger(n) && n >= min && n <= max ? String(n) : undefined;
+  };
+}
+
+// Query params passed through to complexSearch, each with its validator
+const SEARCH_PARAMS = {
+  query: value => {
+    const q = String(value).trim();
+    return q && q.length <= 200 ? q : undefined;
+  },
+  diet: listOf(DIETS),
+  intolerances: listOf(INTOLERANCES),
+  cuisine: value => (/^[a-z][a-z ,-]{0,199}$/i.test(String(value)) ? String(value).toLowerCase() : undefined),
+  maxReadyTime: intBetween(1, 1440),
+  number: intBetween(1, MAX_NUMBER),
+  offset: intBetween(0, MAX_OFFSET)
+};
+
+// Validated complexSearch params in a stable order, or { error } naming the bad one.
+// `number` defaults to 50 and `offset` to 0.
+function searchParams(input = {}) {
+  const params = { number: String(MAX_NUMBER), offset: '0' };
+  for (const [name, check] of Object.entries(SEARCH_PARAMS)) {
+    if (input[name] === undefined || input[name] === '') continue;
+    const value = check(input[name]);
+    if (value === undefined) return { error: `invalid ${name}` };
+    params[name] = value;
+  }
+  if (!params.query) return { error: 'missing query' };
+  return { params };
+}
+
+// Spoonacular client with a response cache keyed by the request (minus the key),
+// so repeated searches and recipe lookups cost no quota. Only 200s are cached.
+// `quota` holds the last X-API-Quota-* headers seen.
+function createSpoonacular({ apiKey, fetchImpl = fetch, ttlMs = 6 * 3600 * 1000, maxEntries = 200, now = Date.now }) {
+  const cache = new Map(); // path -> { status, data, expires }
+  let quota = null;
+
+  function cached(key) {
+    const hit = cache.get(key);
+    if (!hit) return null;
+    if (hit.expires <= now()) {
+      cache.delete(key);
+      return null;
+    }
+    return hit;
+  }
+
+  function readQuota(headers) {
+    const seen = {};
+    for (const [name, header] of Object.entries(QUOTA_HEADERS)) {
+      const value = headers.get(header);
+      if (value !== null && value !== undefined && value !== '') seen[name] = Number(value);
+    }
+    if (Object.keys(seen).length) quota = { ...seen, updatedAt: new Date(now()).toISOString() };
+  }
+
+  async function get(key) {
+    const hit = cached(key);
+    if (hit) return { status: hit.status, data: hit.data, cache: 'HIT' };
+    const sep = key.includes('?') ? '&' : '?';
+    const res = await fetchImpl(`${BASE_URL}${key}${sep}apiKey=${encodeURIComponent(apiKey)}`);
+    readQuota(res.headers);
+    const data = await res.json();
+    if (res.status === 200) {
+      cache.set(key, { status: 200, data, expires: now() + ttlMs });
+      while (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    }
+    return { status: res.status, data, cache: 'MISS' };
+  }
+
+  function searchKey(params) {
+    return `/recipes/complexSearch?${new URLSearchParams({ ...params, addRecipeInformation: 'true' })}`;
+  }
+
+  function recipeKey(id) {
+    return `/recipes/${id}/information?includeNutrition=false`;
+  }
+
+  return {
+    search: params => get(searchKey(params)),
+    recipe: id => get(recipeKey(id)),
+    // True when the response is already cached, so callers can skip their rate limit
+    isCached: (kind, arg) => !!cached(kind === 'recipe' ? recipeKey(arg) : searchKey(arg)),
+    quota: () => quota
+  };
+}
+
+module.exports = { createSpoonacular, searchParams, DIETS, INTOLERANCES };
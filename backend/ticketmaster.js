@@ -0,0 +1,127 @@
+const { distanceKm } = require('./geo');
+
+const EVENTS_URL = 'https://app.ticketmaster.com/discovery/v2/events.json';
+
+// Discovery API event -> the fields the Live Music list shows
+function normalizeEvent(e) {
+  const venue = (e._embedded && e._embedded.venues && e._embedded.venues[0]) || {};
+  const start = (e.dates && e.dates.start) || {};
+  const lat = Number(venue.location && venue.location.latitude);
+  const lon = Number(venue.location && venue.location.longitude);
+  const images = Array.isArray(e.images) ? e.images : [];
+  const image = images.slice().sort((a, b) => (b.width || 0) - (a.width || 0))[0];
+  return {
+    id: e.id,
+    name: e.name,
+    url: e.url || null,
+    date: start.localDate || null,
+    time: start.localTime || null,
+    dateTime: start.dateTime || null,
+    venue: {
+      name: venue.name || null,
+      city: (venue.city && venue.city.name) || null,
+      country: (venue.country && venue.country.countryCode) || null,
+      lat: Number.isFinite(lat) ? lat : null,
+      lon: Number.isFinite(lon) ? lon : null
+    },
+    image: image ? image.url : null,
+    artists: []
+  };
+}
+
+// Events without a date sort last
+function sortKey(e) {
+  return e.dateTime || (e.date ? `${e.date}T${e.time || '00:00:00'}` : '\uffff');
+}
+
+// Runs fn over items with at most `limit` calls in flight; results keep input order
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Ticketmaster lookups for many artists at once. Results are cached per artist
+// for `ttlMs` (failures are not cached) and concurrent lookups of the same
+// artist share one upstream call.
+function createTicketmaster({ fetchImpl = fetch, ttlMs = 6 * 3600 * 1000, concurrency = 4, maxCached = 500, now = Date.now } = {}) {
+  const cache = new Map(); // artist -> { events, expires }
+  const pending = new Map(); // artist -> Promise<events>
+
+  function cacheKey(artist) {
+    return artist.trim().toLowerCase();
+  }
+
+  async function fetchEvents(artist, apiKey) {
+    const url = `${EVENTS_URL}?apikey=${encodeURIComponent(apiKey)}&classificationName=music&size=50&keyword=${encodeURIComponent(artist)}`;
+    const res = await fetchImpl(url);
+    if (!res.ok) throw new Error(`Ticketmaster responded ${res.status}`);
+    const data = await res.json();
+    const events = (data._embedded && data._embedded.events) || [];
+    return events.filter(e => e && e.id).map(normalizeEvent);
+  }
+
+  function eventsFor(artist, apiKey) {
+    const key = cacheKey(artist);
+    const hit = cache.get(key);
+    if (hit && hit.expires > now()) return Promise.resolve(hit.events);
+    if (pending.has(key)) return pending.get(key);
+    const p = fetchEvents(artist, apiKey)
+      .then(events => {
+        cache.delete(key);
+        cache.set(key, { events, expires: now() + ttlMs });
+        while (cache.size > maxCached) cache.delete(cache.keys().next().value);
+        return events;
+      })
+      .finally(() => pending.delete(key));
+    pending.set(key, p);
+    return p;
+  }
+
+  // Merged, de-duplicated events for `artists`, soonest first. With `near`
+  // ({ lat, lon, radiusKm }) only events at venues within the radius are kept.
+  async function batch({ artists, apiKey, near }) {
+    const seen = new Set();
+    const unique = artists.map(a => a.trim()).filter(a => !seen.has(cacheKey(a)) && seen.add(cacheKey(a)));
+    const errors = [];
+    const perArtist = await mapLimit(unique, concurrency, async artist => {
+      try {
+        return await eventsFor(artist, apiKey);
+      } catch (err) {
+        errors.push({ artist, error: err.message });
+        return [];
+      }
+    });
+    const byId = new Map();
+    perArtist.forEach((events, i) => {
+      for (const e of events) {
+        let km = null;
+        if (near) {
+          if (e.venue.lat === null || e.venue.lon === null) continue;
+          km = distanceKm(near.lat, near.lon, e.venue.lat, e.venue.lon);
+          if (km > near.radiusKm) continue;
+        }
+        let merged = byId.get(e.id);
+        if (!merged) {
+          merged = { ...e, artists: [] };
+          if (near) merged.distanceKm = Math.round(km * 10) / 10;
+          byId.set(e.id, merged);
+        }
+        if (!merged.artists.includes(unique[i])) merged.artists.push(unique[i]);
+      }
+    });
+    const events = Array.from(byId.values()).sort((a, b) => sortKey(a).localeCompare(sortKey(b)));
+    return { events, errors };
+  }
+
+  return { batch, eventsFor };
+}
+
+module.exports = { createTicketmaster, normalizeEvent, mapLimit };
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { clipGeoJSON, simplifyGeoJSON, toleranceForZoom } = require('./geo');
+
+const MAX_ZOOM = 14;
+// Clip a little past the tile edge so strokes don't end abruptly at seams
+const TILE_BUFFER = 1 / 16;
+const MAX_SOURCES = 8;
+const EMPTY_TILE = JSON.stringify({ type: 'FeatureCollection', features: [] });
+
+function tileLon(x, z) {
+  return (x / Math.pow(2, z)) * 360 - 180;
+}
+
+function tileLat(y, z) {
+  const n = Math.PI - (2 * Math.PI * y) / Math.pow(2, z);
+  return (180 / Math.PI) * Math.atan(Math.sinh(n));
+}
+
+// [west, south, east, north] of a web-mercator tile, optionally buffered by a fraction of a tile
+function tileBbox(z, x, y, buffer = 0) {
+  return [tileLon(x - buffer, z), tileLat(y + 1 + buffer, z), tileLon(x + 1 + buffer, z), tileLat(y - buffer, z)];
+}
+
+function isValidTile(z, x, y) {
+  const n = Math.pow(2, z);
+  return [z, x, y].every(Number.isInteger) && z >= 0 && z <= MAX_ZOOM && x >= 0 && x < n && y >= 0 && y < n;
+}
+
+function geometryBbox(geom, box = [Infinity, Infinity, -Infinity, -Infinity]) {
+  if (!geom) return box;
+  if (geom.type === 'GeometryCollection') {
+    for (const g of geom.geometries || []) geometryBbox(g, box);
+    return box;
+  }
+  const walk = c => {
+    if (!Array.isArray(c)) return;
+    if (typeof c[0] === 'number') {
+      if (c[0] < box[0]) box[0] = c[0];
+      if (c[1] < box[1]) box[1] = c[1];
+      if (c[0] > box[2]) box[2] = c[0];
+      if (c[1] > box[3]) box[3] = c[1];
+      return;
+    }
+    for (const part of c) walk(part);
+  };
+  walk(geom.coordinates);
+  return box;
+}
+
+function intersects(a, b) {
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+// Cuts layer files into per-tile GeoJSON (in lon/lat, simplified for the zoom)
+// and keeps each tile on disk under <cacheDir>/<key>/<source mtime>/z/x/y.geojson.
+// Tiles with no features are answered without touching the disk, and a key's
+// older mtime directories are removed once a newer one is written.
+function createTiler({ cacheDir }) {
+  const sources = new Map(); // file -> { mtimeMs, features, boxes, bbox }
+  const current = new Map(); // key -> mtime directory already pruned around
+
+  async function loadSource(file, stat) {
+    const cached = sources.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) return cached;
+    const fc = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    const features = (fc && fc.features) || [];
+    const boxes = features.map(f => geometryBbox(f && f.geometry));
+    const bbox = boxes.reduce((b, f) => [Math.min(b[0], f[0]), Math.min(b[1], f[1]), Math.max(b[2], f[2]), Math.max(b[3], f[3])], [Infinity, Infinity, -Infinity, -Infinity]);
+    const src = { mtimeMs: stat.mtimeMs, features, boxes, bbox };
+    sources.delete(file);
+    sources.set(file, src);
+    if (sources.size > MAX_SOURCES) sources.delete(sources.keys().next().value);
+    return src;
+  }
+
+  async function prune(key, version) {
+    if (current.get(key) === version) return;
+    current.set(key, version);
+    let dirs = [];
+    try {
+      dirs = await fs.promises.readdir(path.join(cacheDir, key));
+    } catch {
+      return;
+    }
+    for (const dir of dirs) {
+      if (dir === version) continue;
+      await fs.promises.rm(path.join(cacheDir, key, dir), { recursive: true, force: true })
+        .catch(err => console.warn('Tile cache prune failed', key, dir, err && err.message));
+    }
+  }
+
+  async function tile(file, key, z, x, y) {
+    const stat = await fs.promises.stat(file);
+    const version = String(Math.floor(stat.mtimeMs));
+    const cacheFile = path.join(cacheDir, key, version, String(z), String(x), `${y}.geojson`);
+    try {
+      return await fs.promises.readFile(cacheFile, 'utf8');
+    } catch {}
+    const src = await loadSource(file, stat);
+    const box = tileBbox(z, x, y, TILE_BUFFER);
+    if (!intersects(src.bbox, box)) return EMPTY_TILE;
+    const candidates = src.features.filter((f, i) => intersects(src.boxes[i], box));
+    if (!candidates.length) return EMPTY_TILE;
+    let fc = clipGeoJSON({ type: 'FeatureCollection', features: candidates }, box);
+    fc = simplifyGeoJSON(fc, toleranceForZoom(z) / 2);
+    if (!fc.features.length) return EMPTY_TILE;
+    const body = JSON.stringify(fc);
+    try {
+      await fs.promises.mkdir(path.dirname(cacheFile), { recursive: true });
+      const tmp = `${cacheFile}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, body);
+      await fs.promises.rename(tmp, cacheFile);
+      await prune(key, version);
+    } catch (err) {
+      console.warn('Tile cache write failed', cacheFile, err && err.message);
+    }
+    return body;
+  }
+
+  return { tile };
+}
+
+module.exports = { createTiler, tileBbox, isValidTile, geometryBbox, MAX_ZOOM };
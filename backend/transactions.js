@@ -0,0 +1,156 @@
+const SYNC_PAGE = 500;
+const MAX_RESTARTS = 3;
+
+function cents(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function categoryOf(t) {
+  return (t.personal_finance_category && t.personal_finance_category.primary) ||
+    (Array.isArray(t.category) && t.category[0]) ||
+    'Uncategorized';
+}
+
+function merchantOf(t) {
+  return t.merchant_name || t.name || 'Unknown';
+}
+
+function ranked(totals) {
+  return Array.from(totals, ([name, amount]) => ({ name, amount: cents(amount) })).sort((a, b) => b.amount - a.amount);
+}
+
+// Mirror of transactions kept up to date with Plaid's /transactions/sync.
+// `client` is a PlaidApi or anything with the same transactionsSync(); each
+// sync follows next_cursor until has_more is false and applies the changes
+// only once the whole run succeeded. Syncs run at most every `minSyncMs`.
+function createTransactionStore({ client, accessToken, minSyncMs = 60000, now = Date.now }) {
+  const byId = new Map();
+  let accounts = [];
+  let cursor = null;
+  let syncedAt = null;
+  let syncing = null;
+
+  async function runSync() {
+    for (let attempt = 0; ; attempt++) {
+      const added = [];
+      const modified = [];
+      const removed = [];
+      let next = cursor;
+      let page;
+      try {
+        do {
+          const request = { access_token: accessToken, count: SYNC_PAGE };
+          if (next) request.cursor = next;
+          page = (await client.transactionsSync(request)).data;
+          added.push(...page.added);
+          modified.push(...page.modified);
+          removed.push(...page.removed);
+          if (page.accounts) accounts = page.accounts;
+          next = page.next_cursor;
+        } while (page.has_more);
+      } catch (err) {
+        const code = err.response && err.response.data && err.response.data.error_code;
+        // Plaid asks to restart the whole run from the original cursor
+        if (code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempt < MAX_RESTARTS) continue;
+        throw err;
+      }
+      for (const t of [...added, ...modified]) byId.set(t.transaction_id, t);
+      for (const r of removed) byId.delete(r.transaction_id);
+      cursor = next;
+      syncedAt = now();
+      return;
+    }
+  }
+
+  function sync({ force = false } = {}) {
+    if (syncing) return syncing;
+    if (!force && syncedAt !== null && now() - syncedAt < minSyncMs) return Promise.resolve();
+    syncing = runSync().finally(() => {
+      syncing = null;
+    });
+    return syncing;
+  }
+
+  // Transactions dated start..end (inclusive), newest first
+  function inRange(start, end) {
+    return Array.from(byId.values())
+      .filter(t => t.date >= start && t.date <= end)
+      .sort((a, b) => b.date.localeCompare(a.date) || String(a.transaction_id).localeCompare(String(b.transaction_id)));
+  }
+
+  // One page of inRange(); `cursor` is the opaque nextCursor of the previous page
+  async function list({ start, end, cursor: pageCursor, count = 100 }) {
+    await sync();
+    const all = inRange(start, end);
+    const offset = pageCursor ? Number(Buffer.from(String(pageCursor), 'base64url').toString()) || 0 : 0;
+    const size = Math.min(SYNC_PAGE, Math.max(1, Number.parseInt(count, 10) || 100));
+    const next = offset + size < all.length ? Buffer.from(String(offset + size)).toString('base64url') : null;
+    return { start, end, total: all.length, accounts, transactions: all.slice(offset, offset + size), nextCursor: next };
+  }
+
+  // Spending per month by category and merchant. Plaid amounts are positive
+  // for money going out; refunds and income (negative) are totalled apart.
+  // Pending transactions are left out until they post.
+  async function summary({ start, end }) {
+    await sync();
+    const months = new Map();
+    for (const t of inRange(start, end)) {
+      if (t.pending) continue;
+      const key = t.date.slice(0, 7);
+      let m = months.get(key);
+      if (!m) {
+        m = { month: key, spending: 0, income: 0, count: 0, categories: new Map(), merchants: new Map() };
+        months.set(key, m);
+      }
+      m.count++;
+      if (t.amount < 0) {
+        m.income -= t.amount;
+        continue;
+      }
+      m.spending += t.amount;
+      m.categories.set(categoryOf(t), (m.categories.get(categoryOf(t)) || 0) + t.amount);
+      m.merchants.set(merchantOf(t), (m.merchants.get(merchantOf(t)) || 0) + t.amount);
+    }
+    return {
+      start,
+      end,
+      months: Array.from(months.values())
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(m => ({
+          month: m.month,
+          spending: cents(m.spending),
+          income: cents(m.income),
+          count: m.count,
+          byCategory: ranked(m.categories),
+          byMerchant: ranked(m.merchants)
+        }))
+    };
+  }
+
+  return { sync, list, summary, get size() { return byId.size; } };
+}
+
+// Stand-in for PlaidApi.transactionsSync over a fixed list, for tests and
+// local development (PLAID_STUB_FILE). The cursor is the offset served so far;
+// `pageSize` caps pages below the requested count to exercise has_more.
+function createStubPlaidClient(transactions, { accounts = [], pageSize = Infinity } = {}) {
+  return {
+    async transactionsSync({ cursor, count = 100 }) {
+      const offset = Number(cursor || 0);
+      const added = transactions.slice(offset, offset + Math.min(count, pageSize));
+      const nextOffset = offset + added.length;
+      return {
+        data: {
+          accounts,
+          added,
+          modified: [],
+          removed: [],
+          next_cursor: String(nextOffset),
+          has_more: nextOffset < transactions.length
+        }
+      };
+    }
+  };
+}
+
+module.exports = { createTransactionStore, createStubPlaidClient };
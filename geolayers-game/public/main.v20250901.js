@@ -49,13 +49,30 @@ let riversLayer;
 let roadsLayer;
 let topoLayer;
 let round = 1;
-const MAX_ROUNDS = 4;
+let maxRounds = 4;
+let puzzleToken = '';          // opaque server token for the current puzzle (game mode)
+let roundToken = '';           // signed token the server needs to accept a score for this round
+let ranked = false;            // today's daily puzzle: the only rounds that go on the leaderboard
+let revealed = new Set();      // layer names the server has revealed so far
+let puzzleBbox = null;         // [minLon, minLat, maxLon, maxLat] of the revealed layers, to frame the map
+let availableLayers = null;    // layer names with data for this country (null = unknown, try all)
+let guessPending = false;
+let puzzleDate = null;         // date of the current daily puzzle; null for random practice
+let archiveDays = [];          // [{ number, date }] from /archive, newest first
+const ARCHIVE_KEY = 'geolayersArchive';
+const PLAYER_KEY = 'geolayersPlayer';
+const PROFILE_KEY = 'geolayersProfile';  // { id, key } of this browser's player profile
 const guessedSet = new Set(); // solved/revealed across rotations
 let triedSet = new Set();     // guesses for current country
 let rotateTimer = null;
 let rotateTimeout = null;
 const nameByCode = {};        // code -> display name
 let currentAbort = null;      // abort controller for in-flight fetches
+let room = null;              // { code, key, playerId, host, state, players, answer } while in a race room
+let roomEvents = null;        // EventSource for the room
+let raceStarted = false;      // the room's puzzle has been handed out
+let raceOpen = false;         // countdown is over and guesses count
+let countdownTimer = null;
 
 function isFiniteNum(n){ return typeof n === 'number' && isFinite(n); }
 function coordValid(c){ return Array.isArray(c) && isFiniteNum(c[0]) && isFiniteNum(c[1]); }
@@ -92,15 +109,6 @@ function formatCityName(name){
   return n;
 }
 
-function capFeatureCount(gj, max=30000){
-  try{
-    if(!gj || gj.type!=='FeatureCollection') return gj;
-    const feats = Array.isArray(gj.features)?gj.features:[];
-    if(feats.length <= max) return gj;
-    return { type:'FeatureCollection', features: feats.slice(0, max) };
-  }catch{ return gj; }
-}
-
 function pruneGeometry(geom){
   if(!geom || !geom.type) return null;
   const t = geom.type;
@@ -153,54 +161,14 @@ function sanitizeGeoJSON(fc){
   return g ? g : null;
 }
 
-// Prefer major roads across the entire country instead of early-file bias.
-function limitRoads(fc, max=30000){
-  try{
-    if(!fc || fc.type !== 'FeatureCollection') return fc;
-    const feats = Array.isArray(fc.features) ? fc.features : [];
-    if(feats.length <= max) return fc;
-
-    const prioOrder = ['motorway','trunk','primary','secondary','tertiary','unclassified','residential','service','track','path','road'];
-    const bins = new Map();
-    for(const key of prioOrder) bins.set(key, []);
-    bins.set('__other__', []);
-
-    for(const f of feats){
-      const hw = (f && f.properties && String(f.properties.highway||'').toLowerCase()) || '';
-      const key = prioOrder.includes(hw) ? hw : '__other__';
-      bins.get(key).push(f);
-    }
-
-    const out = [];
-    for(const key of prioOrder.concat(['__other__'])){
-      if(out.length >= max) break;
-      const arr = bins.get(key) || [];
-      if(!arr.length) continue;
-      const remaining = max - out.length;
-      if(arr.length <= remaining){
-        out.push(...arr);
-      } else {
-        // Evenly sample this category to fill remaining slots
-        const step = arr.length / remaining;
-        for(let i=0;i<remaining;i++){
-          const idx = Math.floor(i * step);
-          out.push(arr[idx]);
-        }
-      }
-    }
-    return { type:'FeatureCollection', features: out };
-  }catch{ return fc; }
-}
-
-function pickLocation(locations) {
-  return locations[Math.floor(Math.random() * locations.length)];
-}
-
 const urlParams = new URLSearchParams(location.search);
 const forcedCountry = urlParams.get('country');
 const adminMode = /^(1|true|yes)$/i.test(String(urlParams.get('admin')||''));
 const layerMode = (urlParams.get('layers')||'rivers').toLowerCase();
 const adminLayers = String(urlParams.get('layers')||'rivers').toLowerCase().split(',').map(s=>s.trim()).filter(Boolean);
+// ?tiles=1|0 forces the tiled or whole-file path; otherwise the server suggests one per puzzle
+const tilesParam = urlParams.get('tiles');
+let useTiles = /^(1|true|yes)$/i.test(String(tilesParam||''));
 
 fetch('countries.json').then(r=>r.json()).then(data=>{
   data.sort((a,b)=>a.name.localeCompare(b.name));
@@ -216,14 +184,16 @@ fetch('countries.json').then(r=>r.json()).then(data=>{
   const locations = data.map(c=>c.code);
   for(const c of data){ nameByCode[c.code] = c.name; }
   window.__countryCodes = locations.slice();
-  if (forcedCountry && locations.includes(forcedCountry)) {
-    locationId = forcedCountry;
+  if (adminMode) {
+    locationId = (forcedCountry && locations.includes(forcedCountry)) ? forcedCountry : locations[0];
+    try { console.log('GeoLayers selected location', locationId); } catch {}
+    loadManifest().then(loadCountry);
   } else {
-    locationId = pickLocation(locations);
+    startPuzzle('/daily');
+    initArchivePicker();
+    initRooms();
+    initProfile();
   }
-  try { console.log('GeoLayers selected location', locationId); } catch {}
-  loadCountry();
-  if(!adminMode) scheduleRotation();
 
   function normalizeGuess(v){ return String(v||'').trim().toLowerCase(); }
   function resolveGuess(val){
@@ -233,36 +203,46 @@ fetch('countries.json').then(r=>r.json()).then(data=>{
     if (codeByName.has(n)) return codeByName.get(n);
     return '';
   }
-  function handleGuess(){
+  async function handleGuess(){
     if (adminMode) return; // disable guessing in admin view
-    if (finished) return;
+    if (finished || guessPending || !puzzleToken) return;
+    if (room && raceStarted && !raceOpen) return;
     const typed = guess.value;
     const code = resolveGuess(typed);
     try { guess.value = ''; } catch {}
     if (!code) return;
-    if (code === locationId) {
-      document.getElementById('score').textContent = `Correct! It is ${code}.`;
-      finished = true;
-      guessedSet.add(code);
-      updateGuessedUI();
-      outline.addTo(map);
-      const b = outline.getBounds();
-      if (b && b.isValid && b.isValid()) {
-        map.fitBounds(b.pad(0.1));
-      }
+    let result;
+    guessPending = true;
+    try {
+      const inRace = room && raceStarted;
+      const res = await fetch(inRace ? `/rooms/${room.code}/guess` : '/daily/guess', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(inRace ? { key: room.key, guess: code } : { token: puzzleToken, guess: code, roundToken })
+      });
+      if (!res.ok) return;
+      result = await res.json();
+    } catch {
+      return;
+    } finally {
+      guessPending = false;
+    }
+    if (result.correct) {
+      document.getElementById('score').textContent = `Correct! It is ${result.answer.name}.`;
+      finishPuzzle(result.answer, true);
+      submitScore(result.score);
     } else {
       triedSet.add(code);
-      if (round < MAX_ROUNDS) {
-        round += 1;
-        applyRoundLayers();
-        document.getElementById('score').textContent = `Round ${round}/${MAX_ROUNDS} — keep guessing!`;
+      if (!result.finished) {
+        round = result.round;
+        revealLayers(result.reveal || []);
+        document.getElementById('score').textContent = `Round ${round}/${maxRounds} — keep guessing!`;
         updateGuessedUI();
+        offerHint();
       } else {
-        document.getElementById('score').textContent = `Out of rounds. It was ${nameByCode[locationId] || locationId}.`;
-        finished = true;
-        guessedSet.add(locationId);
-        updateGuessedUI();
-        outline.addTo(map);
+        document.getElementById('score').textContent = `Out of rounds. It was ${result.answer.name}.`;
+        finishPuzzle(result.answer, false);
+        submitScore(result.score);
       }
     }
   }
@@ -270,6 +250,57 @@ fetch('countries.json').then(r=>r.json()).then(data=>{
   guess.addEventListener('keydown', (e)=>{ if(e.key==='Enter') handleGuess(); });
 });
 
+// --- Hints: each round after the first unlocks one more level of facts ---
+let hintLevel = 0;  // level shown so far for this puzzle
+
+function resetHints(){
+  hintLevel = 0;
+  const box = document.getElementById('hints');
+  const list = document.getElementById('hintList');
+  if(box) box.style.display = 'none';
+  if(list) list.textContent = '';
+}
+
+function offerHint(){
+  const box = document.getElementById('hints');
+  const btn = document.getElementById('hintButton');
+  if(!box || !btn || adminMode || finished) return;
+  box.style.display = '';
+  btn.disabled = round - 1 <= hintLevel;
+  btn.textContent = hintLevel ? 'More hints' : 'Hint';
+}
+
+async function showHint(){
+  const level = round - 1;
+  if(!puzzleToken || finished || level <= hintLevel) return;
+  try{
+    // The server checks the level against the round it has this player on
+    const inRace = room && raceStarted;
+    const res = await fetch(`/puzzle/${puzzleToken}/hint/${level}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(inRace ? { room: room.code, key: room.key } : { roundToken })
+    });
+    if(!res.ok) return;
+    const data = await res.json();
+    hintLevel = level;
+    const list = document.getElementById('hintList');
+    list.textContent = '';
+    const texts = data.hints.length ? data.hints.map(h => h.text) : ['No hints for this country yet'];
+    for(const text of texts){
+      const li = document.createElement('li');
+      li.textContent = text;
+      list.appendChild(li);
+    }
+  }catch{}
+  offerHint();
+}
+
+try{
+  const btn = document.getElementById('hintButton');
+  if(btn) btn.addEventListener('click', showHint);
+}catch{}
+
 function updateGuessedUI(){
   try{
     const el = document.getElementById('guessed');
@@ -285,17 +316,38 @@ function updateGuessedUI(){
   }catch{}
 }
 
+function finishPuzzle(answer, solved){
+  finished = true;
+  if(roundToken) recordProfileResult(roundToken);
+  if(puzzleDate){
+    saveArchiveResult(puzzleDate, { solved: !!solved, rounds: round });
+    renderArchiveOptions();
+  }
+  guessedSet.add(answer.code);
+  nameByCode[answer.code] = nameByCode[answer.code] || answer.name;
+  updateGuessedUI();
+  const token = puzzleToken;
+  revealLayers(['outline']).then(() => {
+    if(!solved || !map || puzzleToken !== token) return;
+    const b = outline.getBounds();
+    if (b && b.isValid && b.isValid()) {
+      map.fitBounds(b.pad(0.1));
+    }
+  });
+  if(!raceStarted) scheduleRotation();
+}
+
+// Show the layers the server has revealed, in a fixed draw order
 function applyRoundLayers(){
   if(!map) return;
   try{
     const layers = [riversLayer, citiesLayer, topoLayer, roadsLayer, outline];
     for(const l of layers){ if(l && map.hasLayer(l)) map.removeLayer(l); }
   }catch{}
-  if(riversLayer) riversLayer.addTo(map);
-  if(round>=2 && citiesLayer) citiesLayer.addTo(map);
-  if(round>=3 && topoLayer) topoLayer.addTo(map);
-  if(round>=4 && roadsLayer) roadsLayer.addTo(map);
-  if(round>=4 && outline) outline.addTo(map);
+  const byName = [['rivers', riversLayer], ['cities', citiesLayer], ['elevation', topoLayer], ['roads', roadsLayer], ['outline', outline]];
+  for(const [name, layer] of byName){
+    if(layer && revealed.has(name)) layer.addTo(map);
+  }
 }
 
 function applyAdminLayers(){
@@ -313,32 +365,578 @@ function applyAdminLayers(){
   if(set.has('outline') && outline) outline.addTo(map);
 }
 
+// Game mode: the server picks the puzzle and hands back an opaque token; the
+// answer only comes back once the puzzle is finished. The profile goes along so
+// only the player's first daily round is ranked; an unfinished one comes back
+// at the round it was left on.
+async function startPuzzle(url){
+  try{
+    const profile = loadProfile();
+    const headers = profile && profile.id && profile.key ? { 'X-Profile-Id': profile.id, 'X-Profile-Key': profile.key } : {};
+    const res = await fetch(url, { headers });
+    if(!res.ok) throw new Error('puzzle request failed: ' + res.status);
+    const data = await res.json();
+    puzzleToken = data.token;
+    roundToken = data.roundToken || '';
+    ranked = !!data.ranked;
+    puzzleDate = data.date || null;
+    locationId = '';
+    finished = false;
+    round = data.round || 1;
+    maxRounds = data.maxRounds || maxRounds;
+    useTiles = tilesParam !== null ? /^(1|true|yes)$/i.test(tilesParam) : !!data.tiled;
+    availableLayers = Array.isArray(data.available) ? new Set(data.available) : null;
+    revealed = new Set(data.reveal || []);
+    puzzleBbox = data.bbox || null;
+    triedSet = new Set();
+    resetHints();
+    document.getElementById('score').textContent = '';
+    updateGuessedUI();
+    renderArchiveOptions();
+    try { guess.value = ''; } catch {}
+    loadCountry();
+    if(round > 1){
+      document.getElementById('score').textContent = `Round ${round}/${maxRounds} — keep guessing!`;
+      offerHint();
+    }
+  }catch(err){
+    try { console.error('GeoLayers puzzle load failed', err); } catch {}
+  }
+}
+
+// Post the server-computed score with this round's token; the name is asked for once
+function submitScore(score){
+  if(!roundToken || !ranked || typeof score !== 'number') return;
+  const name = askPlayerName('Name for the leaderboard (leave empty to skip):');
+  if(!name) return;
+  const token = roundToken;
+  ranked = false;
+  ensureProfile().catch(() => null).then(async (profile) => {
+    if(profile) await claimProfileName(name);
+    return fetch('/score', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ playerName: name, score, roundToken: token, profileId: profile && profile.id, profileKey: profile && profile.key })
+    });
+  }).catch(() => {});
+}
+
+// Remembered player name, shared by the leaderboard and race rooms
+function askPlayerName(question){
+  let name = '';
+  try { name = localStorage.getItem(PLAYER_KEY) || ''; } catch {}
+  if(!name){
+    name = String(window.prompt(question) || '').trim();
+    if(!name) return '';
+    try { localStorage.setItem(PLAYER_KEY, name); } catch {}
+  }
+  return name;
+}
+
+// --- Player profile: stats and streaks kept on the server, not in this browser ---
+function loadProfile(){
+  try { return JSON.parse(localStorage.getItem(PROFILE_KEY)) || null; } catch { return null; }
+}
+
+function saveProfile(p){
+  try { localStorage.setItem(PROFILE_KEY, JSON.stringify({ id: p.id, key: p.key })); } catch {}
+}
+
+// Shared so a finish and a score submission don't each create a profile
+let profileRequest = null;
+function ensureProfile(){
+  const existing = loadProfile();
+  if(existing && existing.id && existing.key) return Promise.resolve(existing);
+  if(!profileRequest){
+    profileRequest = fetch('/profiles', { method: 'POST' })
+      .then(res => {
+        if(!res.ok) throw new Error('profile create failed: ' + res.status);
+        return res.json();
+      })
+      .then(created => { saveProfile(created); return created; })
+      .finally(() => { profileRequest = null; });
+  }
+  return profileRequest;
+}
+
+async function profilePost(path, body){
+  const p = await ensureProfile();
+  const res = await fetch(`/profiles/${p.id}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ key: p.key, ...body })
+  });
+  return { ok: res.ok, data: await res.json().catch(() => ({})) };
+}
+
+// The server looks the result up by round token, so it needs no score from us
+async function recordProfileResult(token){
+  try{
+    const { ok, data } = await profilePost('/results', { roundToken: token });
+    if(ok) renderProfile(data);
+  }catch{}
+}
+
+// Best effort: a taken name just keeps the leaderboard name unlinked
+async function claimProfileName(name){
+  try{
+    const p = loadProfile();
+    if(!p) return;
+    const current = await fetch(`/profiles/${p.id}`).then(r => r.ok ? r.json() : null);
+    if(current && !current.name) await profilePost('/claim', { name });
+  }catch{}
+}
+
+function renderProfile(view){
+  const el = document.getElementById('profileStats');
+  if(!el || !view) return;
+  const g = (view.games && view.games.geolayers) || { played: 0, won: 0, winRate: 0, distribution: {} };
+  const dist = g.distribution || {};
+  const rows = [];
+  for(let r = 1; r <= Math.max(maxRounds, 4); r++) rows.push(`${r}: ${dist[r] || 0}`);
+  rows.push(`✗: ${dist.X || 0}`);
+  el.textContent = [
+    view.name ? `Player: ${view.name}` : 'Anonymous player',
+    `Played ${g.played} · won ${Math.round((g.winRate || 0) * 100)}%`,
+    `Streak ${view.streak.current} (best ${view.streak.best})`,
+    `Rounds to solve — ${rows.join('  ')}`
+  ].join('\n');
+}
+
+async function refreshProfile(){
+  const p = loadProfile();
+  if(!p) { renderProfile({ name: null, games: {}, streak: { current: 0, best: 0 } }); return; }
+  try{
+    const res = await fetch(`/profiles/${p.id}`);
+    if(res.ok) renderProfile(await res.json());
+  }catch{}
+}
+
+function initProfile(){
+  const toggle = document.getElementById('profileToggle');
+  const panel = document.getElementById('profile');
+  if(!toggle || !panel) return;
+  toggle.style.display = '';
+  toggle.addEventListener('click', () => {
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? '' : 'none';
+    if(open) refreshProfile();
+  });
+  document.getElementById('profileExport').addEventListener('click', async () => {
+    try{
+      const { ok, data } = await profilePost('/export', {});
+      if(ok) window.prompt('Copy this code and import it on your other device:', data.code);
+    }catch{}
+  });
+  document.getElementById('profileImport').addEventListener('click', async () => {
+    const code = String(window.prompt('Paste a profile code from another device:') || '').trim();
+    if(!code) return;
+    try{
+      const res = await fetch('/profiles/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code })
+      });
+      const data = await res.json();
+      if(!res.ok){ window.alert(data.error || 'Import failed'); return; }
+      saveProfile(data);
+      if(data.profile && data.profile.name){
+        try { localStorage.setItem(PLAYER_KEY, data.profile.name); } catch {}
+      }
+      renderProfile(data.profile);
+    }catch{}
+  });
+}
+
+// Completion state for daily puzzles lives in the browser, keyed by date
+function loadArchiveState(){
+  try { return JSON.parse(localStorage.getItem(ARCHIVE_KEY)) || {}; } catch { return {}; }
+}
+
+function saveArchiveResult(date, result){
+  try{
+    const state = loadArchiveState();
+    state[date] = result;
+    localStorage.setItem(ARCHIVE_KEY, JSON.stringify(state));
+  }catch{}
+}
+
+function renderArchiveOptions(){
+  const sel = document.getElementById('archive');
+  if(!sel || !archiveDays.length) return;
+  const state = loadArchiveState();
+  sel.innerHTML = '';
+  archiveDays.forEach((d, i) => {
+    const opt = document.createElement('option');
+    const done = state[d.date];
+    const mark = done ? (done.solved ? ' ✓' : ' ✗') : '';
+    opt.value = d.date;
+    opt.textContent = `#${d.number} — ${i === 0 ? 'Today' : d.date}${mark}`;
+    sel.appendChild(opt);
+  });
+  if(puzzleDate) sel.value = puzzleDate;
+}
+
+async function initArchivePicker(){
+  const sel = document.getElementById('archive');
+  if(!sel) return;
+  try{
+    const res = await fetch('/archive');
+    if(!res.ok) return;
+    archiveDays = await res.json();
+    renderArchiveOptions();
+    sel.style.display = '';
+    sel.addEventListener('change', () => {
+      try { if (rotateTimeout) clearTimeout(rotateTimeout); } catch {}
+      startPuzzle(`/daily?date=${encodeURIComponent(sel.value)}`);
+    });
+  }catch{}
+}
+
+// Admin mode: ask the server which layers exist so missing ones aren't fetched blindly
+async function loadManifest(){
+  availableLayers = null;
+  try{
+    const res = await fetch(`/layers/${locationId}`);
+    if(!res.ok){ availableLayers = new Set(); return; }
+    const data = await res.json();
+    availableLayers = new Set((data.layers || [])
+      .filter(l => l.features > 0)
+      .map(l => l.name === 'rivers_highres' ? 'rivers' : l.name));
+  }catch{}
+}
+
+function hasLayer(name){
+  return !availableLayers || availableLayers.has(name);
+}
+
 function rotateCountry(){
-  if(!window.__countryCodes || !window.__countryCodes.length) return;
-  const list = window.__countryCodes;
-  let next = locationId;
-  for(let i=0;i<10;i++){
-    const cand = list[Math.floor(Math.random()*list.length)];
-    if(cand!==locationId){ next=cand; break; }
+  startPuzzle('/random');
+}
+
+function scheduleRotation(){
+  try{ if(rotateTimer) clearInterval(rotateTimer); }catch{}
+  try{ if(rotateTimeout) clearTimeout(rotateTimeout); }catch{}
+  rotateTimeout = setTimeout(rotateCountry, 5*60*1000); // 5 minutes
+}
+
+// --- Race rooms: friends race on the same puzzle from a shared countdown ---
+// Room changes arrive as server-sent events; each player's own guesses go
+// through /rooms/:code/guess and reveal their next round exactly like /daily.
+function initRooms(){
+  const panel = document.getElementById('room');
+  if(!panel) return;
+  panel.style.display = '';
+  const codeInput = document.getElementById('roomCode');
+  const join = () => {
+    const code = String(codeInput.value || '').trim().toUpperCase();
+    if(code) enterRoom(`/rooms/${encodeURIComponent(code)}/join`);
+  };
+  document.getElementById('roomCreate').addEventListener('click', () => enterRoom('/rooms'));
+  document.getElementById('roomJoin').addEventListener('click', join);
+  codeInput.addEventListener('keydown', (e) => { if(e.key === 'Enter') join(); });
+  document.getElementById('roomStart').addEventListener('click', startRace);
+  document.getElementById('roomLeave').addEventListener('click', leaveRoom);
+  // ?room=CODE joins straight away (handy for sharing a link)
+  const fromUrl = urlParams.get('room');
+  if(fromUrl){
+    codeInput.value = fromUrl.toUpperCase();
+    join();
+  }
+}
+
+function setRoomInfo(text){
+  const el = document.getElementById('roomInfo');
+  if(el) el.textContent = text;
+}
+
+async function enterRoom(url){
+  const name = askPlayerName('Your name for the race:');
+  if(!name) return;
+  try{
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    if(!res.ok){ setRoomInfo(data.error || 'Could not join the room'); return; }
+    if(room) leaveRoom();
+    room = { code: data.code, key: data.key, playerId: data.playerId, host: null, state: 'lobby', players: [], answer: null };
+    applyRoomSnapshot(data.room);
+    listenToRoom();
+  }catch{
+    setRoomInfo('Could not reach the server');
   }
-  locationId = next;
+}
+
+function listenToRoom(){
+  const code = room.code;
+  roomEvents = new EventSource(`/rooms/${code}/events`);
+  const on = (type, fn) => roomEvents.addEventListener(type, (e) => {
+    if(!room || room.code !== code) return;
+    try { fn(JSON.parse(e.data)); } catch {}
+    renderRoom();
+  });
+  on('room', applyRoomSnapshot);
+  on('join', upsertRoomPlayer);
+  on('guess', (d) => upsertRoomPlayer(d.player));
+  on('finish', (d) => upsertRoomPlayer(d.player));
+  on('reveal', (d) => {
+    const p = room.players.find(x => x.id === d.player);
+    if(p) p.round = d.round;
+  });
+  on('leave', (d) => {
+    room.players = room.players.filter(x => x.id !== d.player);
+    room.host = d.host;
+  });
+  on('start', beginRace);
+  on('end', (d) => {
+    room.state = 'finished';
+    room.answer = d.answer;
+    room.players = d.players || room.players;
+  });
+}
+
+function applyRoomSnapshot(snap){
+  if(!room || !snap) return;
+  room.host = snap.host;
+  room.state = snap.state;
+  room.players = snap.players || [];
+  room.answer = snap.answer || null;
+  if(snap.state !== 'lobby' && snap.token) beginRace(snap);
+  renderRoom();
+}
+
+function upsertRoomPlayer(p){
+  if(!p) return;
+  const i = room.players.findIndex(x => x.id === p.id);
+  if(i === -1) room.players.push(p); else room.players[i] = p;
+}
+
+// Same order as the server: solvers by rounds then time, then everyone else by progress
+function sortStandings(players){
+  return players.slice().sort((a, b) => {
+    if(a.solved !== b.solved) return a.solved ? -1 : 1;
+    if(a.solved) return a.round - b.round || a.timeMs - b.timeMs;
+    if(a.finished !== b.finished) return a.finished ? -1 : 1;
+    return b.round - a.round || a.name.localeCompare(b.name);
+  });
+}
+
+function playerStatus(p){
+  if(p.solved) return `✓ round ${p.round}, ${(p.timeMs / 1000).toFixed(1)}s`;
+  if(p.finished) return '✗ out of rounds';
+  return room.state === 'lobby' ? 'ready' : `round ${p.round}`;
+}
+
+function renderRoom(){
+  const lobby = document.getElementById('roomLobby');
+  const list = document.getElementById('roomStandings');
+  const startBtn = document.getElementById('roomStart');
+  const leaveBtn = document.getElementById('roomLeave');
+  if(!lobby || !list) return;
+  list.innerHTML = '';
+  lobby.style.display = room ? 'none' : '';
+  leaveBtn.style.display = room ? '' : 'none';
+  startBtn.style.display = room && room.state === 'lobby' && room.host === room.playerId ? '' : 'none';
+  if(!room){ setRoomInfo(''); return; }
+  const status = room.state === 'lobby'
+    ? (room.host === room.playerId ? 'share the code, then start' : 'waiting for the host')
+    : room.state === 'racing' ? 'racing' : `finished — it was ${room.answer ? room.answer.name : '?'}`;
+  setRoomInfo(`Room ${room.code} · ${status}`);
+  for(const p of sortStandings(room.players)){
+    const li = document.createElement('li');
+    if(p.id === room.playerId) li.className = 'me';
+    li.textContent = `${p.name}${p.id === room.host ? ' (host)' : ''} — ${playerStatus(p)}`;
+    list.appendChild(li);
+  }
+}
+
+async function startRace(){
+  if(!room) return;
+  try{
+    const res = await fetch(`/rooms/${room.code}/start`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ key: room.key })
+    });
+    if(!res.ok){
+      const data = await res.json().catch(() => ({}));
+      setRoomInfo(data.error || 'Could not start the race');
+    }
+  }catch{}
+}
+
+// Take over the board with the room's puzzle and count down to the shared start.
+// serverNow corrects for this browser's clock being off.
+function beginRace(d){
+  if(!room || raceStarted || !d || !d.token) return;
+  raceStarted = true;
+  raceOpen = false;
+  room.state = 'racing';
+  try { if (rotateTimeout) clearTimeout(rotateTimeout); } catch {}
+  const skew = Number.isFinite(d.serverNow) ? d.serverNow - Date.now() : 0;
+  const startsAt = d.startsAt - skew;
+  puzzleToken = d.token;
+  roundToken = '';
+  ranked = false;
+  puzzleDate = null;
+  locationId = '';
   finished = false;
   round = 1;
+  maxRounds = d.maxRounds || maxRounds;
+  useTiles = tilesParam !== null && /^(1|true|yes)$/i.test(tilesParam);
+  availableLayers = null;
+  revealed = new Set(d.reveal || []);
+  puzzleBbox = d.bbox || null;
   triedSet = new Set();
+  resetHints();
   document.getElementById('score').textContent = '';
   updateGuessedUI();
-  try { guess.value = ''; } catch {}
-  loadCountry();
+  const el = document.getElementById('countdown');
+  const tick = () => {
+    const left = Math.ceil((startsAt - Date.now()) / 1000);
+    if(left > 0){
+      if(el){ el.textContent = String(left); el.style.display = ''; }
+      countdownTimer = setTimeout(tick, 200);
+      return;
+    }
+    if(el) el.style.display = 'none';
+    countdownTimer = null;
+    raceOpen = true;
+    document.getElementById('score').textContent = `Round 1/${maxRounds} — go!`;
+    loadCountry();
+    try { guess.focus(); } catch {}
+  };
+  tick();
 }
 
-function scheduleRotation(){
-  try{ if(rotateTimer) clearInterval(rotateTimer); }catch{}
-  try{ if(rotateTimeout) clearTimeout(rotateTimeout); }catch{}
-  rotateTimeout = setTimeout(rotateCountry, 5*60*1000); // 5 minutes
+// keepalive lets the request outlive the page on unload
+function notifyRoomLeave(){
+  if(!room) return;
+  fetch(`/rooms/${room.code}/leave`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ key: room.key }),
+    keepalive: true
+  }).catch(() => {});
+}
+
+// Leaving mid-race drops back to today's puzzle
+function leaveRoom(){
+  if(!room) return;
+  notifyRoomLeave();
+  try { if (roomEvents) roomEvents.close(); } catch {}
+  try { if (countdownTimer) clearTimeout(countdownTimer); } catch {}
+  const wasRacing = raceStarted;
+  room = null;
+  roomEvents = null;
+  raceStarted = false;
+  raceOpen = false;
+  countdownTimer = null;
+  const el = document.getElementById('countdown');
+  if(el) el.style.display = 'none';
+  renderRoom();
+  if(wasRacing) startPuzzle('/daily');
+}
+
+// Game mode addresses layers through the puzzle token so the country code never reaches the client.
+// `params` are passed to the server (bbox, tolerance/zoom, maxFeatures).
+function layerUrl(name, params){
+  const base = puzzleToken ? `/puzzle/${puzzleToken}/layer/${name}` : `/layer/${locationId}/${name}`;
+  const query = new URLSearchParams({ ...params, ...puzzleAuth() }).toString();
+  return query ? `${base}?${query}` : base;
+}
+
+// The server only serves puzzle layers it has revealed to this player: the round
+// is found by roundToken, or by room and key in a race
+function puzzleAuth(){
+  if(!puzzleToken) return {};
+  return room && raceStarted ? { room: room.code, key: room.key } : { roundToken };
+}
+
+// Admin view loads every layer; puzzles only fetch what has been revealed
+function layerWanted(name){
+  return !puzzleToken || revealed.has(name);
+}
+
+// Server-side feature caps; roads keep the most important highways first
+const LAYER_LIMITS = { rivers: { maxFeatures: 40000 }, roads: { maxFeatures: 30000 }, elevation: { maxFeatures: 30000 } };
+
+const LINE_STYLES = {
+  rivers: { color: '#0ff', weight: 1, opacity: 0.9, lineCap: 'round', lineJoin: 'round' },
+  roads: { color: '#888', weight: 1, opacity: 0.7, lineCap: 'round', lineJoin: 'round' },
+  elevation: { color: '#aaa', weight: 0.8, opacity: 0.6, dashArray: '2,2', lineCap: 'round', lineJoin: 'round' }
+};
+
+function tileUrl(name, coords){
+  const base = puzzleToken ? `/puzzle/${puzzleToken}/tiles/${name}` : `/tiles/${locationId}/${name}`;
+  const query = new URLSearchParams(puzzleAuth()).toString();
+  return `${base}/${coords.z}/${coords.x}/${coords.y}${query ? '?' + query : ''}`;
+}
+
+function drawTileGeometry(ctx, geom, project){
+  if(!geom) return;
+  const t = geom.type;
+  const c = geom.coordinates;
+  const line = (pts) => {
+    let started = false;
+    for(const p of pts){
+      if(!coordValid(p)) continue;
+      const xy = project(p);
+      if(started) ctx.lineTo(xy.x, xy.y); else { ctx.moveTo(xy.x, xy.y); started = true; }
+    }
+  };
+  if(t === 'LineString') line(c);
+  else if(t === 'MultiLineString' || t === 'Polygon') c.forEach(line);
+  else if(t === 'MultiPolygon') c.forEach(poly => poly.forEach(line));
+  else if(t === 'GeometryCollection') (geom.geometries||[]).forEach(g => drawTileGeometry(ctx, g, project));
+}
+
+// Tiled rendering path for big countries: each canvas tile fetches only its own
+// simplified slice of the layer, so only what is on screen at this zoom is loaded.
+const VectorTileLayer = window.L ? L.GridLayer.extend({
+  initialize(name, style, options){
+    this._name = name;
+    this._style = style;
+    L.GridLayer.prototype.initialize.call(this, options);
+  },
+  createTile(coords, done){
+    const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+    fetch(tileUrl(this._name, coords)).then(r => r.ok ? r.json() : null).then(fc => {
+      if(fc && this._map){
+        const ctx = tile.getContext('2d');
+        const origin = L.point(coords.x * size.x, coords.y * size.y);
+        const project = (p) => this._map.project(L.latLng(p[1], p[0]), coords.z).subtract(origin);
+        ctx.strokeStyle = this._style.color;
+        ctx.lineWidth = this._style.weight;
+        ctx.globalAlpha = this._style.opacity;
+        ctx.lineCap = this._style.lineCap || 'butt';
+        ctx.lineJoin = this._style.lineJoin || 'miter';
+        if(this._style.dashArray) ctx.setLineDash(this._style.dashArray.split(',').map(Number));
+        ctx.beginPath();
+        for(const f of fc.features || []) drawTileGeometry(ctx, f && f.geometry, project);
+        ctx.stroke();
+      }
+      done(null, tile);
+    }).catch(err => done(err, tile));
+    return tile;
+  }
+}) : null;
+
+function lineLayer(name, geo){
+  if(!hasLayer(name) || !layerWanted(name)) return null;
+  if(useTiles && VectorTileLayer) return new VectorTileLayer(name, LINE_STYLES[name], { maxNativeZoom: 14 });
+  const san = sanitizeGeoJSON(geo) || geo;
+  return L.geoJSON(san, { style: LINE_STYLES[name], coordsToLatLng: safeCoordsToLatLng });
 }
 
 function loadCountry() {
-  try { console.log('GeoLayers loading', locationId); } catch {}
+  try { console.log('GeoLayers loading', locationId || 'puzzle'); } catch {}
   // Cancel any in-flight loads from the previous country
   try { if (currentAbort) currentAbort.abort(); } catch {}
   currentAbort = new AbortController();
@@ -353,35 +951,38 @@ function loadCountry() {
   riversLayer = citiesLayer = roadsLayer = topoLayer = null;
 
   Promise.all([
-    fetch(`data/${locationId}/outline.geojson`, { signal }).then(r => r.ok ? r.json() : { type:'FeatureCollection', features: [] }).catch(() => ({ type:'FeatureCollection', features: [] })),
+    layerWanted('outline')
+      ? fetch(layerUrl('outline'), { signal }).then(r => r.ok ? r.json() : { type:'FeatureCollection', features: [] }).catch(() => ({ type:'FeatureCollection', features: [] }))
+      : { type:'FeatureCollection', features: [] },
     (async () => {
+      if (useTiles || !hasLayer('rivers') || !layerWanted('rivers')) return null;
       try {
-        const r1 = await fetch(`data/${locationId}/rivers_highres.geojson`, { signal });
+        // The server prefers rivers_highres when it exists
+        const r1 = await fetch(layerUrl('rivers', LAYER_LIMITS.rivers), { signal });
         if (r1.ok) return r1.json();
       } catch {}
-      try {
-        const r2 = await fetch(`data/${locationId}/rivers.geojson`, { signal });
-        if (r2.ok) return r2.json();
-      } catch {}
       return { type:'FeatureCollection', features: [] };
     })(),
     (async () => {
+      if (useTiles || !hasLayer('roads') || !layerWanted('roads')) return null;
       try {
-        const r1 = await fetch(`data/${locationId}/roads.geojson`, { signal });
+        const r1 = await fetch(layerUrl('roads', LAYER_LIMITS.roads), { signal });
         if (r1.ok) return r1.json();
       } catch {}
       return { type:'FeatureCollection', features: [] };
     })(),
     (async () => {
+      if (useTiles || !hasLayer('elevation') || !layerWanted('elevation')) return null;
       try {
-        const r1 = await fetch(`data/${locationId}/elevation.geojson`, { signal });
+        const r1 = await fetch(layerUrl('elevation', LAYER_LIMITS.elevation), { signal });
         if (r1.ok) return r1.json();
       } catch {}
       return { type:'FeatureCollection', features: [] };
     })(),
     (async () => {
+      if (!hasLayer('cities') || !layerWanted('cities')) return { type:'FeatureCollection', features: [] };
       try {
-        const r1 = await fetch(`data/${locationId}/cities.geojson`, { signal });
+        const r1 = await fetch(layerUrl('cities'), { signal });
         if (r1.ok) return r1.json();
       } catch {}
       return { type:'FeatureCollection', features: [] };
@@ -398,25 +999,21 @@ function loadCountry() {
     citiesLayer = null;
 
     const outlineSan = sanitizeGeoJSON(outlineGeo) || outlineGeo;
-    const riversSan = capFeatureCount(sanitizeGeoJSON(riversGeo) || riversGeo, 40000);
     try {
       outline = L.geoJSON(outlineSan, { coordsToLatLng: safeCoordsToLatLng });
     } catch {
       outline = L.geoJSON({ type:'FeatureCollection', features: [] });
     }
     try {
-      riversLayer = L.geoJSON(riversSan, { style: { color: '#0ff', weight: 1, opacity: 0.9, lineCap: 'round', lineJoin: 'round' }, coordsToLatLng: safeCoordsToLatLng });
+      riversLayer = lineLayer('rivers', riversGeo);
     } catch {
       riversLayer = L.geoJSON({ type:'FeatureCollection', features: [] });
     }
     try {
-      const roadsSan0 = sanitizeGeoJSON(roadsGeo) || roadsGeo;
-      const roadsSan = limitRoads(roadsSan0, 30000);
-      roadsLayer = L.geoJSON(roadsSan, { style: { color: '#888', weight: 1, opacity: 0.7, lineCap: 'round', lineJoin: 'round' }, coordsToLatLng: safeCoordsToLatLng });
+      roadsLayer = lineLayer('roads', roadsGeo);
     } catch { roadsLayer = null; }
     try {
-      const topoSan = capFeatureCount(sanitizeGeoJSON(elevationGeo) || elevationGeo, 30000);
-      topoLayer = L.geoJSON(topoSan, { style: { color: '#aaa', weight: 0.8, opacity: 0.6, dashArray: '2,2', lineCap: 'round', lineJoin: 'round' }, coordsToLatLng: safeCoordsToLatLng });
+      topoLayer = lineLayer('elevation', elevationGeo);
     } catch { topoLayer = null; }
     try {
       const citiesSan = sanitizeGeoJSON(citiesGeo) || citiesGeo;
@@ -437,9 +1034,12 @@ function loadCountry() {
       } catch { return false; }
     };
     const applyView = () => {
+      // Until the outline is revealed, frame the layers the server says are showing
       const bounds = outline.getBounds();
       if (bounds && bounds.isValid && bounds.isValid()) {
         map.fitBounds(bounds, { padding: [20, 20] });
+      } else if (puzzleBbox) {
+        map.fitBounds([[puzzleBbox[1], puzzleBbox[0]], [puzzleBbox[3], puzzleBbox[2]]], { padding: [20, 20] });
       } else {
         map.setView([20, 0], 2);
       }
@@ -464,12 +1064,73 @@ function loadCountry() {
   });
 }
 
+// Fetch one layer, build it and swap it in for the current one, leaving the
+// round as it is. Tiled line layers fetch their own tiles. Returns false when
+// nothing changed.
+async function swapLayer(name){
+  const tiled = useTiles && VectorTileLayer && name in LINE_STYLES;
+  const url = layerUrl(name, LAYER_LIMITS[name]);
+  let geo = null;
+  if(!tiled){
+    try{
+      const res = await fetch(url);
+      if(!res.ok) return false;
+      geo = await res.json();
+    }catch{ return false; }
+    // The country moved on while fetching
+    if(url !== layerUrl(name, LAYER_LIMITS[name])) return false;
+  }
+  let next;
+  try{
+    const san = geo && (sanitizeGeoJSON(geo) || geo);
+    if(name === 'outline') next = L.geoJSON(san, { coordsToLatLng: safeCoordsToLatLng });
+    else if(name === 'cities') next = L.geoJSON(san, {
+      coordsToLatLng: safeCoordsToLatLng,
+      pointToLayer: (feature, latlng) =>
+        L.circleMarker(latlng, { radius: 5, color: '#f00' }).bindTooltip((feature && feature.properties && feature.properties.name) || '')
+    });
+    else next = lineLayer(name, geo);
+  }catch{ return false; }
+  const current = { outline, rivers: riversLayer, roads: roadsLayer, elevation: topoLayer, cities: citiesLayer }[name];
+  try { if (current && map.hasLayer(current)) map.removeLayer(current); } catch {}
+  if(name === 'outline') outline = next;
+  else if(name === 'rivers') riversLayer = next;
+  else if(name === 'roads') roadsLayer = next;
+  else if(name === 'elevation') topoLayer = next;
+  else citiesLayer = next;
+  if(adminMode) applyAdminLayers(); else applyRoundLayers();
+  return true;
+}
+
+// Layers the server just revealed are fetched now; puzzle layers are locked
+// until then, the outline included
+async function revealLayers(names){
+  for(const name of names) revealed.add(name);
+  applyRoundLayers();
+  if(!map) return;
+  await Promise.all(names.filter(name => name === 'outline' || hasLayer(name)).map(swapLayer));
+}
+
+// Dev live reload: refetch one layer whose data file changed and swap it in.
+// Puzzle mode can't see the country, so any match goes.
+async function reloadLayer(country, name){
+  if(!map || (locationId && country !== locationId)) return;
+  const layers = { outline, rivers: riversLayer, roads: roadsLayer, elevation: topoLayer, cities: citiesLayer };
+  if(!(name in layers) || (name !== 'outline' && !hasLayer(name)) || !layerWanted(name)) return;
+  const current = layers[name];
+  if(VectorTileLayer && current instanceof VectorTileLayer){ current.redraw(); return; }
+  if(await swapLayer(name)){
+    try { console.log('GeoLayers reloaded layer', name); } catch {}
+  }
+}
+
 // Clear timers and aborts on unload to avoid background work
 try{
   window.addEventListener('beforeunload', () => {
     try { if (rotateTimer) clearInterval(rotateTimer); } catch {}
     try { if (rotateTimeout) clearTimeout(rotateTimeout); } catch {}
     try { if (currentAbort) currentAbort.abort(); } catch {}
+    try { notifyRoomLeave(); } catch {}
   });
 }catch{}
 
@@ -478,7 +1139,7 @@ function showCities() {
     citiesLayer.addTo(map);
     return;
   }
-  fetch(`data/${locationId}/cities.geojson`).then(r => {
+  fetch(layerUrl('cities')).then(r => {
     if (!r.ok) return null;
     return r.json();
   }).then(citiesGeo => {
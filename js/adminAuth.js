@@ -0,0 +1,81 @@
+// Admin session helpers shared by the GeoScore and GeoLayers admin views.
+// The session itself is an HttpOnly cookie set by /api/admin/login; login and
+// logout announce themselves with an `admin-session` event on window.
+
+function announce(admin) {
+  try {
+    window.dispatchEvent(new CustomEvent('admin-session', { detail: { admin } }));
+  } catch {}
+}
+
+export async function getAdminSession() {
+  try {
+    const res = await fetch('/api/admin/session', { credentials: 'same-origin' });
+    if (!res.ok) return { enabled: false, admin: false };
+    return await res.json();
+  } catch {
+    return { enabled: false, admin: false };
+  }
+}
+
+export async function adminLogin(password) {
+  const res = await fetch('/api/admin/login', {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || 'Login failed');
+  announce(true);
+  return data;
+}
+
+export async function adminLogout() {
+  try {
+    await fetch('/api/admin/logout', { method: 'POST', credentials: 'same-origin' });
+  } catch {}
+  announce(false);
+}
+
+// Renders a password form into `container`; calls onSignedIn() after a successful login
+export function renderAdminLogin(container, onSignedIn, session = {}) {
+  container.innerHTML = '';
+  const form = document.createElement('form');
+  form.className = 'admin-login';
+  const label = document.createElement('label');
+  label.textContent = 'Admin password ';
+  const input = document.createElement('input');
+  input.type = 'password';
+  input.autocomplete = 'current-password';
+  label.appendChild(input);
+  const button = document.createElement('button');
+  button.type = 'submit';
+  button.textContent = 'Sign in';
+  const message = document.createElement('span');
+  message.className = 'admin-login-message';
+  form.append(label, button, message);
+  container.appendChild(form);
+
+  if (session.enabled === false) {
+    input.disabled = true;
+    button.disabled = true;
+    message.textContent = 'Admin is disabled on this server (set ADMIN_TOKEN).';
+    return;
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    button.disabled = true;
+    message.textContent = '';
+    try {
+      await adminLogin(input.value);
+      onSignedIn();
+    } catch (err) {
+      message.textContent = err.message;
+      button.disabled = false;
+      input.select();
+    }
+  });
+  input.focus();
+}
@@ -0,0 +1,177 @@
+import { getAdminSession } from './adminAuth.js';
+
+const POSITIONS = ['top', 'bottom'];
+
+let texts = {};
+let isAdmin = false;
+
+async function fetchDescriptions() {
+  try {
+    const res = await fetch('/api/descriptions');
+    texts = res.ok ? await res.json() : {};
+  } catch {
+    texts = {};
+  }
+}
+
+async function fetchHistory(panelId) {
+  const res = await fetch(`/api/description/${encodeURIComponent(panelId)}/history`);
+  if (!res.ok) throw new Error('History request failed');
+  return (await res.json()).history;
+}
+
+async function send(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    credentials: 'same-origin',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body || {})
+  });
+  const data = await res.json().catch(() => ({}));
+  return { status: res.status, data };
+}
+
+function button(label, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.textContent = label;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+// The slot for one panel position; created on first use
+function slotFor(panel, position) {
+  let slot = panel.querySelector(`.panel-description[data-position="${position}"]`);
+  if (slot) return slot;
+  const column = panel.querySelector('.full-column') || panel;
+  slot = document.createElement('div');
+  slot.className = 'panel-description';
+  slot.dataset.position = position;
+  const header = column.querySelector('.panel-header');
+  if (position === 'top' && header) header.after(slot);
+  else if (position === 'top') column.prepend(slot);
+  else column.appendChild(slot);
+  return slot;
+}
+
+function textFor(panelId, position) {
+  return (texts[panelId] && texts[panelId][position]) || '';
+}
+
+function renderSlot(panel, position) {
+  const panelId = panel.id;
+  const slot = slotFor(panel, position);
+  const text = textFor(panelId, position);
+  slot.innerHTML = '';
+  slot.hidden = !text && !isAdmin;
+  if (text) {
+    const body = document.createElement('div');
+    body.className = 'panel-description-text';
+    body.textContent = text;
+    slot.appendChild(body);
+  }
+  if (isAdmin) {
+    const edit = button(text ? `Edit ${position} text` : `Add ${position} text`, () => openEditor(panel, position));
+    edit.className = 'panel-description-edit';
+    slot.appendChild(edit);
+  }
+}
+
+async function openEditor(panel, position) {
+  const panelId = panel.id;
+  const slot = slotFor(panel, position);
+  let history;
+  try {
+    history = await fetchHistory(panelId);
+  } catch {
+    history = { top: [], bottom: [] };
+  }
+  let head = history[position][0] || { rev: 0, text: null };
+
+  slot.innerHTML = '';
+  const area = document.createElement('textarea');
+  area.rows = 3;
+  area.value = head.text || '';
+  const message = document.createElement('span');
+  message.className = 'panel-description-message';
+  const actions = document.createElement('div');
+  actions.className = 'panel-description-actions';
+  const list = document.createElement('ol');
+  list.className = 'panel-description-history';
+  list.hidden = true;
+
+  async function finish(result) {
+    if (result.status === 409) {
+      head = result.data.current;
+      area.value = head.text || '';
+      message.textContent = 'Someone else saved a newer version; it is loaded above.';
+      return;
+    }
+    if (result.status >= 400) {
+      message.textContent = result.data.error || 'Save failed';
+      if (result.status === 401) {
+        isAdmin = false;
+        renderSlot(panel, position);
+      }
+      return;
+    }
+    await refresh();
+  }
+
+  actions.append(
+    button('Save', async () => {
+      message.textContent = '';
+      finish(await send('POST', '/api/description', { panelId, position, text: area.value, baseRev: head.rev }));
+    }),
+    button('Cancel', () => renderSlot(panel, position)),
+    button('Delete', async () => {
+      if (!head.text) return renderSlot(panel, position);
+      finish(await send('DELETE', `/api/description/${encodeURIComponent(panelId)}/${position}`, { baseRev: head.rev }));
+    }),
+    button('History', () => { list.hidden = !list.hidden; })
+  );
+
+  for (const rev of history[position]) {
+    const item = document.createElement('li');
+    const when = rev.updatedAt ? new Date(rev.updatedAt).toLocaleString() : 'imported';
+    const label = document.createElement('span');
+    label.textContent = `#${rev.rev} ${rev.action} · ${when}: ${rev.text === null ? '(deleted)' : rev.text.slice(0, 80)}`;
+    item.appendChild(label);
+    if (rev.rev !== head.rev) {
+      item.appendChild(button('Restore', async () => {
+        finish(await send('POST', `/api/description/${encodeURIComponent(panelId)}/${position}/revert`, { rev: rev.rev }));
+      }));
+    }
+    list.appendChild(item);
+  }
+
+  slot.hidden = false;
+  slot.append(area, actions, message, list);
+  area.focus();
+}
+
+function renderAll() {
+  document.querySelectorAll('section.main-layout[id]').forEach(panel => {
+    POSITIONS.forEach(position => renderSlot(panel, position));
+  });
+}
+
+async function refresh() {
+  await fetchDescriptions();
+  renderAll();
+}
+
+export async function initDescriptions() {
+  const [session] = await Promise.all([getAdminSession(), fetchDescriptions()]);
+  isAdmin = !!session.admin;
+  renderAll();
+  window.addEventListener('admin-session', e => {
+    isAdmin = !!(e.detail && e.detail.admin);
+    renderAll();
+  });
+}
+
+if (typeof window !== 'undefined') {
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initDescriptions);
+  else initDescriptions();
+}
@@ -1,8 +1,21 @@
+import { getAdminSession, adminLogout, renderAdminLogin } from './adminAuth.js';
+
+// Approve checkboxes use the preview names; the server calls topo "elevation"
+const APPROVAL_LAYER = { rivers:'rivers', cities:'cities', topo:'elevation', roads:'roads', outline:'outline' };
+const STATUS_MARK = { approved:'✓', rejected:'✗', unreviewed:'·' };
+
 async function initGeolayersAdmin(){
   const tabs = document.getElementById('geolayersSubtabs');
   const controls = document.getElementById('geolayersAdminControls');
   const frame = document.getElementById('geolayersFrame');
+  const list = document.getElementById('glList');
   if(!tabs || !controls || !frame) return;
+  // tabs.js calls this on every switch to the GeoLayers tab
+  if(tabs.dataset.ready) return;
+  tabs.dataset.ready = '1';
+  let approvals = null;          // { layers, countries:[{ code, name, layers:{ [layer]:{ available, status } } }] }
+  let approvalFilter = 'all';   // all | unreviewed | rejected
+  let glMode = 'game';
 
   // Populate countries list
   try{
@@ -35,6 +48,7 @@ async function initGeolayersAdmin(){
       tabs.querySelectorAll('.subtab-button').forEach(b=>b.classList.remove('active'));
       btn.classList.add('active');
       const mode = btn.dataset.mode;
+      glMode = mode;
       // encode mode in parent URL
       try{
         const url = new URL(location.href);
@@ -42,14 +56,10 @@ async function initGeolayersAdmin(){
         history.replaceState({ tab: 'geolayers', gl: mode }, '', url);
       }catch{}
       if(mode==='admin'){
-        controls.style.display='flex';
-        // Default admin view keeps current country, shows rivers
-        const url = new URL(frame.src, location.href);
-        url.searchParams.set('admin','1');
-        url.searchParams.set('layers','rivers');
-        frame.src = url.toString();
+        enterAdmin();
       }else{
         controls.style.display='none';
+        if(list) list.style.display='none';
         const url = new URL('geolayers-game/public/index.v20250901.html', location.href);
         url.searchParams.set('layers','rivers');
         frame.src = url.toString();
@@ -57,6 +67,31 @@ async function initGeolayersAdmin(){
     });
   });
 
+  // Edit controls stay hidden until /api/admin/session says we're signed in
+  async function enterAdmin(){
+    controls.style.display='none';
+    if(list){ list.style.display=''; list.textContent = 'Checking session…'; }
+    const session = await getAdminSession();
+    if(glMode !== 'admin') return;
+    if(!session.admin){
+      if(list) renderAdminLogin(list, enterAdmin, session);
+      return;
+    }
+    controls.style.display='flex';
+    loadApprovals();
+    // Default admin view keeps current country, shows rivers
+    const url = new URL(frame.src, location.href);
+    url.searchParams.set('admin','1');
+    url.searchParams.set('layers','rivers');
+    frame.src = url.toString();
+  }
+
+  async function signOut(){
+    await adminLogout();
+    approvals = null;
+    enterAdmin();
+  }
+
   function updateFrame(){
     const iso3 = resolveISO3(document.getElementById('glCountry').value);
     const layers = Array.from(document.querySelectorAll('.gl-layer:checked')).map(i=>i.value).join(',');
@@ -65,8 +100,139 @@ async function initGeolayersAdmin(){
     if(iso3) url.searchParams.set('country', iso3);
     url.searchParams.set('layers', layers || 'rivers');
     document.getElementById('geolayersFrame').src = url.toString();
+    syncApproveBoxes();
   }
 
+  // --- Approvals: country × layer grid in #glList, saved through the admin API ---
+  async function loadApprovals(){
+    try{
+      const res = await fetch('/api/admin/approvals');
+      if(res.status === 401) return enterAdmin();
+      if(!res.ok) throw new Error('approvals request failed: ' + res.status);
+      approvals = await res.json();
+    }catch(err){
+      approvals = null;
+      if(list) list.textContent = 'Could not load approvals';
+      try { console.error(err); } catch {}
+      return;
+    }
+    renderApprovalGrid();
+    syncApproveBoxes();
+  }
+
+  function countryMatches(c){
+    if(approvalFilter === 'all') return true;
+    return approvals.layers.some(l => c.layers[l].available && c.layers[l].status === approvalFilter);
+  }
+
+  function renderApprovalGrid(){
+    if(!list || !approvals) return;
+    list.innerHTML = '';
+    const filter = document.createElement('select');
+    for(const [value, label] of [['all','All countries'],['unreviewed','Has unreviewed'],['rejected','Has rejected']]){
+      const opt = document.createElement('option');
+      opt.value = value; opt.textContent = label;
+      filter.appendChild(opt);
+    }
+    filter.value = approvalFilter;
+    filter.style.width = '100%';
+    filter.addEventListener('change', ()=>{ approvalFilter = filter.value; renderApprovalGrid(); });
+    list.appendChild(filter);
+    const out = document.createElement('button');
+    out.textContent = 'Sign out';
+    out.style.cssText = 'width:100%; margin-top:6px;';
+    out.addEventListener('click', signOut);
+    list.appendChild(out);
+
+    const table = document.createElement('table');
+    table.style.cssText = 'width:100%; border-collapse:collapse; margin-top:6px; font-size:12px;';
+    const head = document.createElement('tr');
+    for(const h of ['', ...approvals.layers]){
+      const th = document.createElement('th');
+      th.textContent = h === 'elevation' ? 'topo' : h;
+      th.style.cssText = 'text-align:center; font-weight:normal; padding:2px;';
+      head.appendChild(th);
+    }
+    table.appendChild(head);
+    const current = resolveISO3(document.getElementById('glCountry').value);
+    const rows = approvals.countries.filter(countryMatches);
+    for(const c of rows){
+      const tr = document.createElement('tr');
+      tr.style.cursor = 'pointer';
+      if(c.code === current) tr.style.background = 'rgba(0,0,0,0.08)';
+      const name = document.createElement('td');
+      name.textContent = c.code;
+      name.title = c.name;
+      tr.appendChild(name);
+      for(const l of approvals.layers){
+        const td = document.createElement('td');
+        const cell = c.layers[l];
+        td.style.textAlign = 'center';
+        td.textContent = cell.available ? STATUS_MARK[cell.status] : '—';
+        td.title = cell.available ? `${l}: ${cell.status}` : `${l}: no data`;
+        if(cell.status === 'rejected') td.style.color = '#c00';
+        if(cell.status === 'approved') td.style.color = '#080';
+        tr.appendChild(td);
+      }
+      tr.addEventListener('click', ()=>{
+        document.getElementById('glCountry').value = c.name;
+        updateFrame();
+        renderApprovalGrid();
+      });
+      table.appendChild(tr);
+    }
+    list.appendChild(table);
+    if(!rows.length){
+      const empty = document.createElement('div');
+      empty.textContent = 'Nothing to review';
+      empty.style.marginTop = '6px';
+      list.appendChild(empty);
+    }
+  }
+
+  function currentApprovalCountry(){
+    const iso3 = resolveISO3(document.getElementById('glCountry').value);
+    return approvals && approvals.countries.find(c => c.code === iso3);
+  }
+
+  // Checked = approved, cleared = rejected, indeterminate = not reviewed yet
+  function syncApproveBoxes(){
+    const c = currentApprovalCountry();
+    document.querySelectorAll('.gl-approve').forEach(chk=>{
+      const cell = c && c.layers[APPROVAL_LAYER[chk.value]];
+      chk.disabled = !cell || !cell.available;
+      chk.checked = !!cell && cell.status === 'approved';
+      chk.indeterminate = !!cell && cell.available && cell.status === 'unreviewed';
+    });
+  }
+
+  async function saveApproval(chk){
+    const c = currentApprovalCountry();
+    const layer = APPROVAL_LAYER[chk.value];
+    if(!c || !layer) return;
+    const status = chk.checked ? 'approved' : 'rejected';
+    chk.disabled = true;
+    try{
+      const res = await fetch(`/api/admin/approvals/${c.code}/${layer}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+      if(res.status === 401){ enterAdmin(); return; }
+      if(!res.ok) throw new Error('save failed: ' + res.status);
+      const saved = await res.json();
+      c.layers[layer] = { ...c.layers[layer], status: saved.status, updatedAt: saved.updatedAt };
+    }catch(err){
+      try { console.error('Approval save failed', err); } catch {}
+    }
+    syncApproveBoxes();
+    renderApprovalGrid();
+  }
+
+  document.querySelectorAll('.gl-approve').forEach(chk=>{
+    chk.addEventListener('change', ()=> saveApproval(chk));
+  });
+
   // Live update on layer checkbox change
   document.querySelectorAll('.gl-layer').forEach(chk=>{
     chk.addEventListener('change', updateFrame);
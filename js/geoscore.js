@@ -1,3 +1,5 @@
+import { getAdminSession, adminLogout, renderAdminLogin } from './adminAuth.js';
+
 const STORAGE_KEY = 'geoscoreQuestions';
 
 export const DEFAULT_QUESTIONS = [
@@ -65,6 +67,12 @@ export async function initGeoScorePanel() {
   if (!container) return;
   container.innerHTML = '';
 
+  const session = await getAdminSession();
+  if (!session.admin) {
+    renderAdminLogin(container, initGeoScorePanel, session);
+    return;
+  }
+
   function formatPlaceName(name){
     let n = String(name||'').trim();
     if(!n) return n;
@@ -95,7 +103,18 @@ export async function initGeoScorePanel() {
   note.textContent = 'Read-only preview';
   note.style.fontSize = '0.9em';
   note.style.opacity = '0.7';
-  header.append(title, note);
+  const signOut = document.createElement('button');
+  signOut.textContent = 'Sign out';
+  signOut.addEventListener('click', async () => {
+    await adminLogout();
+    initGeoScorePanel();
+  });
+  const right = document.createElement('div');
+  right.style.display = 'flex';
+  right.style.gap = '8px';
+  right.style.alignItems = 'center';
+  right.append(note, signOut);
+  header.append(title, right);
   container.appendChild(header);
 
   const shell = document.createElement('div');
@@ -58,11 +58,111 @@ function createQuestionCard(q, idx){
   return wrap;
 }
 
-export async function initGeoScoreGame(){
+const PLAYER_KEY = 'geoscorePlayer';
+
+function askPlayerName(){
+  let name = '';
+  try { name = localStorage.getItem(PLAYER_KEY) || ''; } catch {}
+  if(!name){
+    name = String(window.prompt('Name for the leaderboard (leave empty to skip):') || '').trim();
+    if(!name) return '';
+    try { localStorage.setItem(PLAYER_KEY, name); } catch {}
+  }
+  return name;
+}
+
+async function postJSON(url, body){
+  const res = await fetch(url, { method:'POST', headers:{ 'Content-Type':'application/json' }, body: JSON.stringify(body) });
+  if(!res.ok) throw new Error(url + ' failed: ' + res.status);
+  return res.json();
+}
+
+// Daily round: the server picks the questions and scores the answers, so the
+// total can go on the leaderboard. Each question takes one answer; only the
+// first round a player starts each day is ranked.
+async function fetchDaily(){
+  try{
+    const res = await fetch('/geoscore/daily');
+    return res.ok ? await res.json() : null;
+  }catch{
+    return null;
+  }
+}
+
+function createDailyCard(question, idx){
+  const wrap = document.createElement('div');
+  wrap.className = 'geoscore-qcard';
+  const title = document.createElement('div');
+  title.className = 'geoscore-qtitle';
+  title.textContent = `Q${idx+1}. ${question}`;
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.placeholder = 'Type your answer';
+  input.autocomplete = 'off';
+  const feedback = document.createElement('div');
+  feedback.className = 'geoscore-feedback';
+  wrap.append(title, input, feedback);
+  return { wrap, input, feedback };
+}
+
+function renderDaily(mount, daily){
+  const header = document.createElement('div');
+  header.style.display='flex'; header.style.justifyContent='space-between'; header.style.alignItems='center';
+  const scoreEl = document.createElement('div');
+  scoreEl.textContent = daily.ranked ? `Daily round ${daily.date}` : `Daily round ${daily.date} (practice, not ranked)`;
+  const buttons = document.createElement('div');
+  const submitBtn = document.createElement('button');
+  submitBtn.textContent = 'Submit answers';
+  const practiceBtn = document.createElement('button');
+  practiceBtn.textContent = 'Practice';
+  practiceBtn.addEventListener('click', ()=>{ initGeoScoreGame({ practice: true }); });
+  buttons.append(submitBtn, practiceBtn);
+  header.append(scoreEl, buttons);
+  mount.appendChild(header);
+
+  const grid = document.createElement('div');
+  grid.style.display='grid'; grid.style.gridTemplateColumns='1fr'; grid.style.gap='10px';
+  mount.appendChild(grid);
+  const cards = daily.questions.map((q, i) => createDailyCard(q, i));
+  cards.forEach(c => grid.appendChild(c.wrap));
+
+  submitBtn.addEventListener('click', async ()=>{
+    submitBtn.disabled = true;
+    cards.forEach(c => { c.input.disabled = true; });
+    let out;
+    try{
+      out = await postJSON('/geoscore/answers', { roundToken: daily.roundToken, answers: cards.map(c => c.input.value) });
+    }catch(err){
+      console.error(err);
+      scoreEl.textContent = 'Could not check answers';
+      return;
+    }
+    out.results.forEach((r, i) => {
+      const fb = cards[i].feedback;
+      fb.textContent = r.correct ? `✓ ${r.answer} (+${r.score})` : '✗ Not on the board';
+      fb.style.color = r.correct ? '#0a0' : '#a00';
+    });
+    scoreEl.textContent = `Score: ${out.score}`;
+    if(!daily.ranked) return;
+    const name = askPlayerName();
+    if(!name) return;
+    postJSON('/score', { playerName: name, score: out.score, roundToken: daily.roundToken }).catch(() => {});
+  });
+}
+
+// Today's server round when the backend has one; practice rounds from the local
+// question list otherwise (and on request). Practice scores stay in the browser.
+export async function initGeoScoreGame({ practice = false } = {}){
   const mount = document.getElementById('geoscoreGame');
   if(!mount) return;
   mount.innerHTML='';
 
+  const daily = practice ? null : await fetchDaily();
+  if(daily && Array.isArray(daily.questions) && daily.questions.length){
+    renderDaily(mount, daily);
+    return;
+  }
+
   const all = await loadQuestions();
   const picked = pickN(all, Math.min(6, all.length));
 
@@ -72,7 +172,7 @@ export async function initGeoScoreGame(){
   header.style.display='flex'; header.style.justifyContent='space-between'; header.style.alignItems='center';
   const startBtn = document.createElement('button');
   startBtn.textContent = 'New Round';
-  startBtn.addEventListener('click', ()=>{ initGeoScoreGame(); });
+  startBtn.addEventListener('click', ()=>{ initGeoScoreGame({ practice: true }); });
   scoreEl.textContent = 'Score: 0 / 6';
   header.append(scoreEl, startBtn);
   mount.appendChild(header);
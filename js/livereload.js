@@ -0,0 +1,44 @@
+// Dev live reload, fed by /livereload when the server runs with LIVERELOAD=1
+// (the route does not exist otherwise and the stream just closes). Changed
+// stylesheets are swapped in place, layer data goes to `onLayers`, and
+// anything else reloads the page.
+
+function swapStylesheet(changedPath) {
+  for (const link of document.querySelectorAll('link[rel="stylesheet"]')) {
+    const url = new URL(link.href, location.href);
+    if (url.origin !== location.origin || url.pathname !== changedPath) continue;
+    // Static CSS is served immutable, so the new copy needs its own URL
+    url.searchParams.set('livereload', String(Date.now()));
+    const next = link.cloneNode();
+    next.href = url.href;
+    // Keep the old sheet until the new one is in, so nothing flashes unstyled
+    next.addEventListener('load', () => link.remove(), { once: true });
+    next.addEventListener('error', () => next.remove(), { once: true });
+    link.after(next);
+  }
+}
+
+export function startLiveReload({ onLayers } = {}) {
+  let es;
+  try {
+    es = new EventSource('/livereload');
+  } catch {
+    return null;
+  }
+  es.addEventListener('change', e => {
+    let change;
+    try {
+      change = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    console.log('🔁 Live reload:', change.files.join(', '));
+    if (change.reload) {
+      location.reload();
+      return;
+    }
+    change.css.forEach(swapStylesheet);
+    if (change.layers.length && onLayers) onLayers(change.layers);
+  });
+  return es;
+}
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+/*
+  Precompress GeoLayers data files so the server can send them without
+  compressing on every request. Writes <layer>.geojson.br and <layer>.geojson.gz
+  next to each geolayers-game/public/data/<ISO3>/<layer>.geojson.
+
+  Files whose compressed copies are newer than the source are skipped.
+
+  Flags:
+    --force   Recompress everything
+
+  Usage:
+    node scripts/compressLayers.js            # all countries
+    node scripts/compressLayers.js USA MEX    # specific ISO3
+*/
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'geolayers-game', 'public', 'data');
+
+function isFresh(source, target){
+  try{
+    return fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+  }catch{
+    return false;
+  }
+}
+
+function writeAtomic(file, buf){
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, buf);
+  fs.renameSync(tmp, file);
+}
+
+function compressFile(file, force){
+  const raw = fs.readFileSync(file);
+  const out = [];
+  const br = `${file}.br`;
+  if(force || !isFresh(file, br)){
+    writeAtomic(br, zlib.brotliCompressSync(raw, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: raw.length
+      }
+    }));
+    out.push('br');
+  }
+  const gz = `${file}.gz`;
+  if(force || !isFresh(file, gz)){
+    writeAtomic(gz, zlib.gzipSync(raw, { level: zlib.constants.Z_BEST_COMPRESSION }));
+    out.push('gz');
+  }
+  return out;
+}
+
+function main(){
+  const argv = process.argv.slice(2);
+  const force = argv.includes('--force');
+  const targets = argv.filter(a=>/^[A-Z]{3}$/.test(a));
+  if(!fs.existsSync(DATA_DIR)){
+    console.log(`No data directory at ${DATA_DIR}`);
+    return;
+  }
+  const list = targets.length ? targets : fs.readdirSync(DATA_DIR).filter(d=>/^[A-Z]{3}$/.test(d));
+  let written = 0;
+  for(const code of list){
+    const dir = path.join(DATA_DIR, code);
+    if(!fs.existsSync(dir)) { console.warn(`  ${code}: no data directory`); continue; }
+    for(const name of fs.readdirSync(dir).filter(f=>f.endsWith('.geojson'))){
+      try{
+        const done = compressFile(path.join(dir, name), force);
+        if(done.length){
+          written += done.length;
+          console.log(`  ${code}/${name}: ${done.join(', ')}`);
+        }
+      }catch(err){
+        console.error(`  ${code}/${name}: failed:`, err && err.message || err);
+      }
+    }
+  }
+  console.log(`Done (${written} files written)`);
+}
+
+main();
@@ -6,6 +6,7 @@
   - Downloads and caches the NE dataset locally on first run
   - Merges all matching parts into a single MultiPolygon per country
   - Optional simplification to reduce vertices (Douglas–Peucker)
+  - Records continent, land neighbours and landlocked in the feature properties (for hints)
 
   Flags:
     --simplify-km=K   Simplify rings with ~K km tolerance (default 0 = no simplify)
@@ -131,11 +132,57 @@ function mergeGeometriesToMultiPolygon(features, simplifyKm){
   return { type:'MultiPolygon', coordinates: polys };
 }
 
-async function writeOutline(iso3, geom){
+function forEachVertex(geom, fn){
+  const polys = geom.type==='Polygon' ? [geom.coordinates] : geom.type==='MultiPolygon' ? geom.coordinates : [];
+  for(const poly of polys || []) for(const ring of poly || []) for(const p of ring || []) fn(`${p[0].toFixed(6)},${p[1].toFixed(6)}`);
+}
+
+// Vertex -> ADM0_A3 codes of every country using it; Natural Earth borders share exact vertices
+function vertexOwners(rows){
+  const owners = new Map();
+  for(const f of rows){
+    const code = f && f.properties && f.properties.ADM0_A3;
+    if(!code || !f.geometry) continue;
+    forEachVertex(f.geometry, key => {
+      if(!owners.has(key)) owners.set(key, new Set());
+      owners.get(key).add(code);
+    });
+  }
+  return owners;
+}
+
+// Hint facts stored with the outline (read by backend/hints.js): continent,
+// land neighbours, and landlocked when (nearly) every vertex is on a land border.
+// Uses the raw geometry, before any simplification.
+function borderFacts(subset, owners){
+  const own = new Set(subset.map(f => f.properties.ADM0_A3));
+  const neighbours = new Set();
+  let total = 0, coast = 0;
+  for(const f of subset){
+    if(!f.geometry) continue;
+    forEachVertex(f.geometry, key => {
+      total++;
+      let shared = false;
+      for(const code of owners.get(key) || []){
+        if(own.has(code)) continue;
+        neighbours.add(code);
+        shared = true;
+      }
+      if(!shared) coast++;
+    });
+  }
+  return {
+    continent: subset[0].properties.CONTINENT || null,
+    neighbours: Array.from(neighbours).sort(),
+    landlocked: total > 0 && coast / total < 0.02
+  };
+}
+
+async function writeOutline(iso3, geom, facts){
   const dir = path.join(DATA_DIR, iso3);
   fs.mkdirSync(dir, { recursive:true });
   const file = path.join(dir, 'outline.geojson');
-  const gj = { type:'FeatureCollection', features: [{ type:'Feature', properties:{ iso3: iso3 }, geometry: geom }] };
+  const gj = { type:'FeatureCollection', features: [{ type:'Feature', properties:{ iso3: iso3, ...facts }, geometry: geom }] };
   fs.writeFileSync(file, JSON.stringify(gj));
   return file;
 }
@@ -151,6 +198,7 @@ async function main(){
   const ne = readJson(NE_CACHE);
   const rows = Array.isArray(ne?.features) ? ne.features : [];
   const list = targets.length ? targets : getISO3List();
+  const owners = vertexOwners(rows);
   console.log(`Building borders for ${list.length} countries...${simplifyKm?` simplify~${simplifyKm}km`:''}`);
   for(const code of list){
     try{
@@ -161,7 +209,7 @@ async function main(){
         continue;
       }
       const geom = mergeGeometriesToMultiPolygon(subset, simplifyKm);
-      const file = await writeOutline(code, geom);
+      const file = await writeOutline(code, geom, borderFacts(subset, owners));
       console.log(`  ${code}: wrote outline to ${file}`);
     }catch(err){
       console.error(`  ${code}: failed:`, err && err.message || err);
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createAdminAuth, parseCookies, COOKIE_NAME } from '../backend/adminAuth.js';
+
+function fakeRes() {
+  const res = { cookies: [], statusCode: 200, body: null };
+  res.append = (name, value) => { res.cookies.push(value); return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+}
+
+function sessionFrom(res) {
+  return parseCookies(res.cookies[0].split(';')[0])[COOKIE_NAME];
+}
+
+describe('admin auth', () => {
+  it('issues a signed session cookie for the right password only', () => {
+    let t = Date.parse('2025-09-01T12:00:00Z');
+    const auth = createAdminAuth({ token: 's3cret', ttlMs: 60000, now: () => t });
+    expect(auth.login({}, fakeRes(), 'wrong')).toBe(false);
+    expect(auth.login({}, fakeRes(), undefined)).toBe(false);
+
+    const res = fakeRes();
+    expect(auth.login({ secure: true }, res, 's3cret')).toBe(true);
+    expect(res.cookies[0]).toMatch(/HttpOnly/);
+    expect(res.cookies[0]).toMatch(/SameSite=Strict/);
+    expect(res.cookies[0]).toMatch(/Secure/);
+    const session = sessionFrom(res);
+    expect(auth.isAdmin({ headers: { cookie: `other=1; ${COOKIE_NAME}=${session}` } })).toBe(true);
+
+    const [nonce, expires, sig] = session.split('.');
+    expect(auth.verify(`${nonce}.${Number(expires) + 1}.${sig}`)).toBe(false);
+    expect(createAdminAuth({ token: 'other' }).verify(session)).toBe(false);
+
+    t += 60001;
+    expect(auth.verify(session)).toBe(false);
+  });
+
+  it('guards routes with 401, or 503 when no token is configured', () => {
+    const auth = createAdminAuth({ token: 's3cret' });
+    let passed = false;
+    const denied = fakeRes();
+    auth.requireAdmin({ headers: {} }, denied, () => { passed = true; });
+    expect(denied.statusCode).toBe(401);
+    expect(passed).toBe(false);
+
+    const login = fakeRes();
+    auth.login({}, login, 's3cret');
+    auth.requireAdmin({ headers: { cookie: `${COOKIE_NAME}=${sessionFrom(login)}` } }, fakeRes(), () => { passed = true; });
+    expect(passed).toBe(true);
+
+    const disabled = createAdminAuth({ token: '' });
+    const res = fakeRes();
+    disabled.requireAdmin({ headers: {} }, res, () => {});
+    expect(res.statusCode).toBe(503);
+    expect(disabled.login({}, fakeRes(), '')).toBe(false);
+  });
+});
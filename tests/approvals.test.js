@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createApprovals } from '../backend/approvals.js';
+
+describe('layer approvals', () => {
+  it('stores decisions per country and layer and reloads them', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-')), 'approvals.json');
+    const approvals = createApprovals(file, { now: () => Date.parse('2025-09-01T00:00:00Z') });
+    expect(approvals.status('FRA', 'rivers')).toBe('unreviewed');
+    expect(approvals.set('FRA', 'rivers', 'approved')).toEqual({ status: 'approved', updatedAt: '2025-09-01T00:00:00.000Z' });
+    approvals.set('FRA', 'roads', 'rejected');
+    approvals.set('FRA', 'cities', 'approved');
+    expect(approvals.set('FRA', 'lakes', 'approved')).toBeNull();
+    expect(approvals.set('FRA', 'rivers', 'maybe')).toBeNull();
+    approvals.set('FRA', 'cities', 'unreviewed');
+
+    const reloaded = createApprovals(file);
+    expect(Array.from(reloaded.approved('FRA'))).toEqual(['rivers']);
+    expect(reloaded.status('FRA', 'roads')).toBe('rejected');
+    expect(reloaded.status('FRA', 'cities')).toBe('unreviewed');
+    expect(reloaded.approved('DEU').size).toBe(0);
+  });
+});
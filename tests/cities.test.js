@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCityStore, cityProviders, naturalEarthProvider, fixtureProvider } from '../backend/cities.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'cities');
+
+function failing(name) {
+  return { name, async fetch() { throw new Error('offline'); } };
+}
+
+describe('city store', () => {
+  it('falls through providers and records fetch date and TTL', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cities-'));
+    const t = Date.parse('2025-09-01T00:00:00Z');
+    const results = [];
+    const store = createCityStore({
+      dataDir,
+      providers: [naturalEarthProvider({ file: path.join(dataDir, 'missing.geojson') }), failing('Wikidata'), fixtureProvider({ dir: fixturesDir })],
+      ttlDays: 7,
+      delayMs: 0,
+      now: () => t,
+      onResult: (iso3, result) => results.push([iso3, result])
+    });
+    expect(await store.ensure('FRA')).toMatchObject({ exists: false, stale: true });
+    expect(await store.ensure('XXX')).toMatchObject({ exists: false });
+    await store.idle();
+    expect(results).toEqual([['FRA', 'fetched'], ['XXX', 'failed']]);
+    const fc = JSON.parse(fs.readFileSync(store.fileFor('FRA'), 'utf8'));
+    expect(fc).toMatchObject({ source: 'fixture', fetchedAt: '2025-09-01T00:00:00.000Z', ttlDays: 7 });
+    expect(fc.features[0].properties.name).toBe('Paris');
+    expect(await store.status('FRA')).toMatchObject({ exists: true, stale: false });
+    expect(await store.refresh('XXX')).toBeNull();
+  });
+
+  it('treats files past their TTL as stale and refreshes them in the background', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cities-'));
+    fs.mkdirSync(path.join(dataDir, 'FRA'));
+    fs.writeFileSync(path.join(dataDir, 'FRA', 'cities.geojson'), JSON.stringify({
+      type: 'FeatureCollection', fetchedAt: '2025-01-01T00:00:00Z', ttlDays: 30, features: []
+    }));
+    let t = Date.parse('2025-01-20T00:00:00Z');
+    const store = createCityStore({ dataDir, providers: [fixtureProvider({ dir: fixturesDir })], delayMs: 0, now: () => t });
+    expect((await store.ensure('FRA')).stale).toBe(false);
+    t = Date.parse('2025-03-01T00:00:00Z');
+    expect((await store.ensure('FRA')).stale).toBe(true);
+    await store.idle();
+    expect(JSON.parse(fs.readFileSync(store.fileFor('FRA'), 'utf8')).features).toHaveLength(3);
+  });
+
+  it('backs off after a failed refresh', async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cities-'));
+    let t = 0;
+    let calls = 0;
+    const provider = { name: 'Flaky', async fetch() { calls++; throw new Error('offline'); } };
+    const store = createCityStore({ dataDir, providers: [provider], delayMs: 0, retryMs: 60000, now: () => t });
+    await store.ensure('FRA');
+    await store.idle();
+    await store.ensure('FRA');
+    await store.idle();
+    expect(calls).toBe(1);
+    t = 60000;
+    await store.ensure('FRA');
+    await store.idle();
+    expect(calls).toBe(2);
+    // The second failure waits twice as long
+    t = 60000 + 90000;
+    await store.ensure('FRA');
+    await store.idle();
+    expect(calls).toBe(2);
+    t = 60000 + 120000;
+    await store.ensure('FRA');
+    await store.idle();
+    expect(calls).toBe(3);
+  });
+
+  it('only uses fixtures when they are named', () => {
+    expect(cityProviders(undefined).map(p => p.name)).not.toContain('fixture');
+    expect(cityProviders('fixtures', { fixturesDir }).map(p => p.name)).toEqual(['fixture']);
+  });
+
+  it('picks a country from the Natural Earth file by population', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ne-'));
+    const file = path.join(dir, 'places.geojson');
+    const place = (name, iso, pop) => ({
+      type: 'Feature', properties: { NAME: name, ADM0_A3: iso, POP_MAX: pop }, geometry: { type: 'Point', coordinates: [1, 2] }
+    });
+    fs.writeFileSync(file, JSON.stringify({ features: [place('Small', 'FRA', 10), place('Big', 'FRA', 1000), place('Berlin', 'DEU', 5)] }));
+    const fc = await naturalEarthProvider({ file, limit: 1 }).fetch('FRA');
+    expect(fc.features.map(f => f.properties.name)).toEqual(['Big']);
+  });
+});
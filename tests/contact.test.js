@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createContactOutbox, createFileTransport, createFormTokens, checkSubmission } from '../backend/contact.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'contact-'));
+}
+
+const buildMail = msg => ({ to: 'me@example.com', replyTo: msg.from, text: msg.message });
+const valid = { name: 'Ada', from: 'ada@example.com', message: 'Hello there, nice dashboard!' };
+
+describe('contact submissions', () => {
+  it('flags the honeypot and checks content', () => {
+    expect(checkSubmission({ ...valid, website: 'http://spam' })).toEqual({ spam: true });
+    expect(checkSubmission(valid).fields).toEqual(valid);
+    expect(checkSubmission({ ...valid, from: 'nope' })).toEqual({ error: 'invalid email' });
+    expect(checkSubmission({ ...valid, name: 'Ada\r\nBcc: x@y.z' })).toEqual({ error: 'invalid name' });
+    expect(checkSubmission({ ...valid, message: 'hi' })).toEqual({ error: 'message too short' });
+    expect(checkSubmission({ ...valid, message: 'x'.repeat(5001) })).toEqual({ error: 'message too long' });
+    expect(checkSubmission({ ...valid, message: 'http://a http://b http://c https://d' })).toEqual({ error: 'too many links' });
+  });
+
+  it('requires a signed token older than the minimum time, once', () => {
+    let t = 1000000;
+    const tokens = createFormTokens({ secret: 's', minMs: 3000, now: () => t });
+    const token = tokens.issue();
+    const other = tokens.issue();
+    expect(other).not.toBe(token);
+    expect(tokens.check(token)).toBe('too fast');
+    t += 3000;
+    expect(tokens.check(token)).toBeNull();
+    expect(tokens.check(token)).toBe('form already sent');
+    expect(tokens.check(other)).toBeNull();
+    expect(tokens.check(undefined)).toBe('missing form token');
+    const [, nonce, sig] = token.split('.');
+    expect(tokens.check(`${t - 10000}.${nonce}.${sig}`)).toBe('invalid form token');
+    t += 25 * 3600 * 1000;
+    expect(tokens.check(tokens.issue())).toBe('too fast');
+    expect(tokens.check(token)).toBe('form expired');
+  });
+});
+
+describe('contact outbox', () => {
+  it('stores messages and delivers them through a file transport', async () => {
+    const dir = tempDir();
+    const outbox = createContactOutbox({ file: path.join(dir, 'outbox.json'), transport: createFileTransport(path.join(dir, 'mail')), buildMail });
+    const msg = outbox.enqueue(valid);
+    await outbox.deliverDue();
+    expect(outbox.list()[0]).toMatchObject({ id: msg.id, status: 'sent', attempts: 0 });
+    const files = fs.readdirSync(path.join(dir, 'mail'));
+    expect(files).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'mail', files[0]), 'utf8'))).toMatchObject({ replyTo: 'ada@example.com' });
+  });
+
+  it('retries with backoff and keeps messages across restarts', async () => {
+    const file = path.join(tempDir(), 'outbox.json');
+    let t = Date.parse('2025-10-01T00:00:00Z');
+    let down = true;
+    const sent = [];
+    const transport = {
+      async sendMail(mail) {
+        if (down) throw new Error('ECONNREFUSED');
+        sent.push(mail);
+      }
+    };
+    const outbox = createContactOutbox({ file, transport, buildMail, now: () => t, maxAttempts: 3, baseDelayMs: 1000 });
+    outbox.enqueue(valid);
+    await outbox.deliverDue();
+    expect(outbox.list()[0]).toMatchObject({ status: 'pending', attempts: 1, lastError: 'ECONNREFUSED', nextAttemptAt: new Date(t + 1000).toISOString() });
+
+    t += 1000;
+    await outbox.deliverDue();
+    expect(outbox.list()[0]).toMatchObject({ attempts: 2, nextAttemptAt: new Date(t + 2000).toISOString() });
+    t += 2000;
+    await outbox.deliverDue();
+    expect(outbox.list({ status: 'failed' })).toHaveLength(1);
+
+    down = false;
+    const reloaded = createContactOutbox({ file, transport, buildMail, now: () => t });
+    expect(reloaded.list()[0].status).toBe('failed');
+    const id = reloaded.list()[0].id;
+    reloaded.retry(id);
+    await reloaded.deliverDue();
+    expect(reloaded.list()[0]).toMatchObject({ status: 'sent', lastError: null });
+    expect(sent).toHaveLength(1);
+    expect(reloaded.retry(id)).toBeNull();
+  });
+
+  it('drops sent messages after a while', async () => {
+    const dir = tempDir();
+    const file = path.join(dir, 'outbox.json');
+    let t = Date.parse('2025-10-01T00:00:00Z');
+    const outbox = createContactOutbox({ file, transport: createFileTransport(path.join(dir, 'mail')), buildMail, now: () => t, keepSentMs: 60000 });
+    outbox.enqueue(valid);
+    await outbox.deliverDue();
+    t += 30000;
+    outbox.enqueue({ ...valid, message: 'Another message for you' });
+    await outbox.deliverDue();
+    expect(outbox.list({ status: 'sent' })).toHaveLength(2);
+    t += 40000;
+    await outbox.deliverDue();
+    expect(outbox.list().map(m => m.message)).toEqual(['Another message for you']);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toHaveLength(1);
+  });
+
+  it('keeps messages pending without a transport', async () => {
+    const outbox = createContactOutbox({ file: path.join(tempDir(), 'outbox.json'), transport: null, buildMail });
+    outbox.enqueue(valid);
+    await outbox.deliverDue();
+    expect(outbox.list({ status: 'pending' })).toHaveLength(1);
+  });
+});
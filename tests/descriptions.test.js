@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createDescriptionStore } from '../backend/descriptions.js';
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'descriptions-')), 'descriptions.json');
+}
+
+describe('description store', () => {
+  it('keeps every revision and serializes concurrent writes', async () => {
+    const file = tempFile();
+    const store = createDescriptionStore(file, { now: () => Date.parse('2025-09-01T00:00:00Z') });
+    const results = await Promise.all(['a', 'b', 'c', 'd'].map(text => store.set('geoscorePanel', 'top', text)));
+    expect(results.map(r => r.revision.rev)).toEqual([1, 2, 3, 4]);
+    expect(await store.all()).toEqual({ geoscorePanel: { top: 'd' } });
+    const history = await store.history('geoscorePanel');
+    expect(history.top.map(r => r.text)).toEqual(['d', 'c', 'b', 'a']);
+    expect(history.bottom).toEqual([]);
+    expect(fs.readdirSync(path.dirname(file))).toEqual(['descriptions.json']);
+  });
+
+  it('rejects stale writes, deletes as a revision and reverts', async () => {
+    const store = createDescriptionStore(tempFile());
+    await store.set('panel', 'bottom', 'one');
+    await store.set('panel', 'bottom', 'two', 1);
+    expect(await store.set('panel', 'bottom', 'late', 1)).toMatchObject({ conflict: { rev: 2, text: 'two' } });
+
+    expect((await store.remove('panel', 'bottom')).revision).toMatchObject({ rev: 3, text: null, action: 'delete' });
+    expect(await store.remove('panel', 'bottom')).toBeNull();
+    expect(await store.all()).toEqual({});
+
+    expect((await store.revert('panel', 'bottom', 1)).revision).toMatchObject({ rev: 4, text: 'one', action: 'revert' });
+    expect(await store.revert('panel', 'bottom', 99)).toBeNull();
+    expect(await store.all()).toEqual({ panel: { bottom: 'one' } });
+  });
+
+  it('reads the old flat format and caps history', async () => {
+    const file = tempFile();
+    fs.writeFileSync(file, '{"geolayersPanel":{"top":"legacy"},"__proto__":{"top":"x"}}');
+    const store = createDescriptionStore(file, { historyLimit: 2 });
+    expect(await store.all()).toEqual({ geolayersPanel: { top: 'legacy' } });
+    await store.set('geolayersPanel', 'top', 'next');
+    await store.set('geolayersPanel', 'top', 'last');
+    expect((await store.history('geolayersPanel')).top.map(r => r.rev)).toEqual([3, 2]);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseBbox, clipGeoJSON, simplifyGeoJSON, capFeatures, stripProperties } from '../backend/geo.js';
+
+const fc = (...geoms) => ({
+  type: 'FeatureCollection',
+  features: geoms.map((geometry, i) => ({ type: 'Feature', properties: { i }, geometry }))
+});
+
+describe('layer geometry helpers', () => {
+  it('parses and validates bbox params', () => {
+    expect(parseBbox(undefined)).toBeNull();
+    expect(parseBbox('0,0,10,5')).toEqual([0, 0, 10, 5]);
+    expect(parseBbox('10,0,0,5')).toBeUndefined();
+    expect(parseBbox('a,b,c,d')).toBeUndefined();
+  });
+
+  it('clips points, lines and polygons to the box', () => {
+    const out = clipGeoJSON(fc(
+      { type: 'Point', coordinates: [5, 5] },
+      { type: 'Point', coordinates: [50, 5] },
+      { type: 'LineString', coordinates: [[-5, 5], [5, 5], [15, 5]] },
+      { type: 'Polygon', coordinates: [[[-5, -5], [5, -5], [5, 5], [-5, 5], [-5, -5]]] }
+    ), [0, 0, 10, 10]);
+    expect(out.features.map(f => f.properties.i)).toEqual([0, 2, 3]);
+    expect(out.features[1].geometry.coordinates).toEqual([[0, 5], [5, 5], [10, 5]]);
+    const ring = out.features[2].geometry.coordinates[0];
+    for (const [x, y] of ring) {
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(y).toBeGreaterThanOrEqual(0);
+    }
+  });
+
+  it('splits a line that leaves and re-enters the box', () => {
+    const out = clipGeoJSON(fc({ type: 'LineString', coordinates: [[1, 1], [20, 1], [20, 2], [1, 2]] }), [0, 0, 10, 10]);
+    expect(out.features[0].geometry.type).toBe('MultiLineString');
+    expect(out.features[0].geometry.coordinates).toHaveLength(2);
+  });
+
+  it('simplifies lines within the tolerance', () => {
+    const line = { type: 'LineString', coordinates: [[0, 0], [1, 0.001], [2, 0], [3, 1]] };
+    expect(simplifyGeoJSON(fc(line), 0.01).features[0].geometry.coordinates).toEqual([[0, 0], [2, 0], [3, 1]]);
+  });
+
+  it('caps features repeatably, major roads first', () => {
+    const roads = fc(...Array.from({ length: 10 }, () => ({ type: 'Point', coordinates: [0, 0] })));
+    roads.features.forEach((f, i) => { f.properties.highway = i === 7 ? 'motorway' : 'residential'; });
+    const a = capFeatures(roads, 3);
+    expect(a.features.map(f => f.properties.i)).toEqual([7, 0, 4]);
+    expect(capFeatures(roads, 3)).toEqual(a);
+  });
+
+  it('strips feature properties down to the kept ones', () => {
+    const cities = fc({ type: 'Point', coordinates: [1, 2] });
+    Object.assign(cities.features[0].properties, { name: 'Lyon', iso3: 'FRA' });
+    cities.properties = { country: 'FRA' };
+    expect(stripProperties(cities, ['name'])).toEqual({
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', properties: { name: 'Lyon' }, geometry: { type: 'Point', coordinates: [1, 2] } }]
+    });
+    expect(stripProperties(cities).features[0].properties).toEqual({});
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { loadQuestions, saveQuestions, DEFAULT_QUESTIONS } from '../js/geoscore.js';
+import { createGeoScore } from '../backend/geoscore.js';
 
 describe('geoscore persistence', () => {
   beforeEach(() => {
@@ -28,3 +32,21 @@ describe('geoscore persistence', () => {
     expect(await loadQuestions()).toEqual(qs);
   });
 });
+
+describe('geoscore daily rounds', () => {
+  it('picks the same questions for a date and scores answers in order', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'geoscore-')), 'questions.json');
+    fs.writeFileSync(file, JSON.stringify(DEFAULT_QUESTIONS));
+    const gs = createGeoScore({ file, seed: 's', perRound: 2 });
+    const questions = gs.questions('2025-09-01');
+    expect(questions).toHaveLength(2);
+    expect(gs.questions('2025-09-01')).toEqual(questions);
+    expect(createGeoScore({ file, seed: 's', perRound: 3 }).questions('2025-09-01')).toHaveLength(3);
+
+    const byQuestion = Object.fromEntries(DEFAULT_QUESTIONS.map(q => [q.question, q.answers[1].answer]));
+    const out = gs.score('2025-09-01', [byQuestion[questions[0]].toUpperCase(), 'nowhere']);
+    expect(out.results.map(r => r.correct)).toEqual([true, false]);
+    expect(out.score).toBe(9);
+    expect(gs.score('2025-09-01', null).score).toBe(0);
+  });
+});
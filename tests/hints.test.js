@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHints, outlineFacts } from '../backend/hints.js';
+
+function square(lon, lat, size, properties = {}) {
+  const ring = [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]];
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [ring] } }] };
+}
+
+function write(dir, loc, name, fc) {
+  fs.mkdirSync(path.join(dir, loc), { recursive: true });
+  fs.writeFileSync(path.join(dir, loc, `${name}.geojson`), JSON.stringify(fc));
+}
+
+function points(populations) {
+  return {
+    type: 'FeatureCollection',
+    features: populations.map(population => ({ type: 'Feature', properties: { name: 'x', population }, geometry: { type: 'Point', coordinates: [0, 0] } }))
+  };
+}
+
+describe('hints', () => {
+  it('measures outlines', () => {
+    const facts = outlineFacts(square(10, -1, 2, { continent: 'Africa', neighbours: ['AAA', 'BBB'], landlocked: false }));
+    // 2° x 2° at the equator is about 222 km square
+    expect(facts.areaKm2).toBeGreaterThan(49000);
+    expect(facts.areaKm2).toBeLessThan(50000);
+    expect(facts.centroid).toEqual([11, 0]);
+    expect(facts).toMatchObject({ spansEquator: true, continent: 'Africa', neighbours: 2, landlocked: false });
+    expect(outlineFacts({ type: 'FeatureCollection', features: [] })).toBeNull();
+  });
+
+  it('builds hints level by level and picks up changed files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hints-'));
+    write(dir, 'AAA', 'outline', square(-60, -30, 10, { continent: 'South America', neighbours: ['BBB'], landlocked: true }));
+    write(dir, 'AAA', 'cities', points([120000, 2345678, null]));
+    write(dir, 'AAA', 'elevation', { type: 'FeatureCollection', features: [{ properties: { level: 500 } }, { properties: { level: 4500 } }] });
+    write(dir, 'BBB', 'outline', square(10, 40, 20));
+    const hints = createHints({ dataDir: dir, codes: () => ['AAA', 'BBB', 'CCC'] });
+
+    const one = await hints.hints('AAA', 1);
+    expect(one.maxLevel).toBe(3);
+    expect(one.hints.map(h => h.text)).toEqual([
+      'Lies mostly in the southern and western hemispheres',
+      'Is landlocked',
+      'Shares land borders with 1 country'
+    ]);
+
+    const all = await hints.hints('AAA', 3);
+    expect(all.hints.map(h => h.fact)).toEqual(['hemisphere', 'landlocked', 'neighbours', 'areaRank', 'highestContour', 'largestCity', 'continent']);
+    const rank = all.hints.find(h => h.fact === 'areaRank');
+    expect(rank.value).toEqual({ rank: 2, of: 2 });
+    expect(rank.text).toBe('Is the 2nd largest of the 2 countries in the game');
+    expect(all.hints.find(h => h.fact === 'highestContour').text).toBe('Its highest elevation contour is 4,500 m');
+    expect(all.hints.find(h => h.fact === 'largestCity').text).toBe('Its largest city has about 2.3 million people');
+
+    // Outlines without stored border facts and graticule elevation just give fewer hints
+    const bbb = await hints.hints('BBB', 3);
+    expect(bbb.hints.map(h => h.fact)).toEqual(['hemisphere', 'areaRank']);
+    expect(await hints.hints('CCC', 3)).toEqual({ level: 3, maxLevel: 3, hints: [] });
+
+    write(dir, 'AAA', 'cities', points([9000000, 1]));
+    expect((await hints.facts('AAA')).largestCity).toBe(9000000);
+  });
+});
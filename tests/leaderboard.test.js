@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLeaderboard, weekRange } from '../backend/leaderboard.js';
+
+describe('leaderboard store', () => {
+  let file;
+  beforeEach(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'lb-')), 'leaderboard.json');
+  });
+
+  it('persists entries across instances', () => {
+    const lb = createLeaderboard(file);
+    lb.add({ game: 'geolayers', date: '2025-09-01', locationId: 'FRA', playerName: 'ann', score: 75 });
+    const again = createLeaderboard(file);
+    expect(again.size).toBe(1);
+    expect(again.board({ game: 'geolayers' })[0]).toMatchObject({ rank: 1, playerName: 'ann', score: 75 });
+  });
+
+  it('builds daily, weekly and all-time boards per game from first attempts', () => {
+    const lb = createLeaderboard(file);
+    lb.add({ game: 'geolayers', date: '2025-09-01', playerName: 'ann', score: 50 });
+    lb.add({ game: 'geolayers', date: '2025-09-01', playerName: 'ann', score: 100 });
+    lb.add({ game: 'geolayers', date: '2025-09-03', playerName: 'bob', score: 120 });
+    lb.add({ game: 'geolayers', date: '2025-08-20', playerName: 'bob', score: 100 });
+    lb.add({ game: 'geoscore', date: '2025-09-01', playerName: 'cat', score: 30 });
+
+    const daily = lb.board({ game: 'geolayers', period: 'daily', date: '2025-09-01' });
+    expect(daily.map(r => [r.playerName, r.score])).toEqual([['ann', 50]]);
+
+    const weekly = lb.board({ game: 'geolayers', period: 'weekly', date: '2025-09-02' });
+    expect(weekly.map(r => [r.playerName, r.score])).toEqual([['bob', 120], ['ann', 50]]);
+
+    const all = lb.board({ game: 'geolayers', period: 'all' });
+    expect(all.map(r => [r.playerName, r.score])).toEqual([['bob', 220], ['ann', 50]]);
+  });
+
+  it('reports a player rank and paginates', () => {
+    const lb = createLeaderboard(file);
+    for (let i = 0; i < 5; i++) {
+      lb.add({ game: 'geoscore', date: '2025-09-01', playerName: `p${i}`, score: i * 10 });
+    }
+    expect(lb.rank('p1', { game: 'geoscore' })).toMatchObject({ rank: 4, score: 10, total: 5 });
+    expect(lb.rank('nobody', { game: 'geoscore' })).toBeNull();
+    const page = lb.page({ game: 'geoscore', page: 2, pageSize: 2 });
+    expect(page).toMatchObject({ page: 2, pageSize: 2, total: 5 });
+    expect(page.rows.map(r => r.playerName)).toEqual(['p2', 'p1']);
+  });
+
+  it('uses Monday-based weeks', () => {
+    expect(weekRange('2025-09-07')).toEqual(['2025-09-01', '2025-09-07']);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createLiveReload, classifyChange } from '../backend/livereload.js';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('live reload', () => {
+  it('classifies changed files', () => {
+    expect(classifyChange('style.css')).toEqual({ type: 'css', path: '/style.css' });
+    expect(classifyChange('geolayers-game/public/data/FRA/rivers_highres.geojson')).toEqual({ type: 'layer', country: 'FRA', layer: 'rivers' });
+    expect(classifyChange('geolayers-game/public/main.v20250901.js')).toEqual({ type: 'reload', path: '/geolayers-game/public/main.v20250901.js' });
+    expect(classifyChange('geolayers-game/public/data/FRA/roads.geojson.gz')).toBeNull();
+    expect(classifyChange('backend/leaderboard.json')).toBeNull();
+    expect(classifyChange('node_modules/x/index.js')).toBeNull();
+  });
+
+  it('groups a burst of changes into one event', () => {
+    vi.useFakeTimers();
+    let onChange;
+    const watcher = { close: vi.fn() };
+    const live = createLiveReload({
+      root: '/repo',
+      debounceMs: 100,
+      watch: (root, opts, cb) => {
+        onChange = cb;
+        return watcher;
+      }
+    });
+    const seen = [];
+    live.subscribe(change => seen.push(change));
+    live.start();
+
+    onChange('change', 'style.css');
+    vi.advanceTimersByTime(60);
+    onChange('rename', 'style.css');
+    onChange('change', 'geolayers-game/public/data/FRA/rivers.geojson');
+    onChange('change', 'geolayers-game/public/data/FRA/rivers_highres.geojson');
+    onChange('change', 'backend/contact-outbox.json');
+    vi.advanceTimersByTime(60);
+    expect(seen).toHaveLength(0);
+    vi.advanceTimersByTime(60);
+    expect(seen).toEqual([{
+      reload: false,
+      files: ['style.css', 'geolayers-game/public/data/FRA/rivers.geojson', 'geolayers-game/public/data/FRA/rivers_highres.geojson'],
+      css: ['/style.css'],
+      layers: [{ country: 'FRA', layer: 'rivers' }]
+    }]);
+
+    onChange('change', 'js/tabs.js');
+    vi.advanceTimersByTime(100);
+    expect(seen[1]).toMatchObject({ reload: true, files: ['js/tabs.js'] });
+
+    live.close();
+    expect(watcher.close).toHaveBeenCalled();
+  });
+});
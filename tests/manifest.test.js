@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createManifest } from '../backend/manifest.js';
+
+function writeLayer(dir, name, features) {
+  fs.writeFileSync(path.join(dir, `${name}.geojson`), JSON.stringify({ type: 'FeatureCollection', features }));
+}
+
+describe('layer manifest', () => {
+  it('describes the layer files present for a country', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    const dir = path.join(root, 'FRA');
+    fs.mkdirSync(dir);
+    writeLayer(dir, 'outline', [
+      { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [[[0, 40], [8, 40], [8, 51], [0, 51], [0, 40]]] } }
+    ]);
+    writeLayer(dir, 'rivers_highres', [
+      { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[1, 45], [2, 46]] } }
+    ]);
+    writeLayer(dir, 'cities', [
+      { type: 'Feature', properties: { source: 'fixture' }, geometry: { type: 'Point', coordinates: [2.35, 48.85] } }
+    ]);
+    writeLayer(dir, 'roads', []);
+
+    const manifest = createManifest(root);
+    const layers = await manifest.layers('FRA');
+    expect(layers.map(l => l.name)).toEqual(['outline', 'rivers_highres', 'roads', 'cities']);
+    const outline = layers[0];
+    expect(outline).toMatchObject({ features: 1, bbox: [0, 40, 8, 51], source: 'Natural Earth' });
+    expect(outline.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(layers[3].source).toBe('fixture');
+    expect(Array.from(await manifest.available('FRA')).sort()).toEqual(['cities', 'outline', 'rivers']);
+    expect(await manifest.layers('XXX')).toEqual([]);
+  });
+});
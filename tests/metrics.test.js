@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { createMetrics } from '../backend/metrics.js';
+
+describe('metrics registry', () => {
+  it('renders counters, histograms and gauges in Prometheus text format', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('requests_total', 'Requests', ['route', 'status']);
+    const latency = metrics.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+    let clients = 2;
+    metrics.gauge('clients', 'Open clients', () => clients);
+    metrics.gauge('by_layer', 'Per layer', ['layer'], () => [[{ layer: 'rivers' }, 3]]);
+
+    requests.inc({ route: '/layer/:loc/:name', status: 200 });
+    requests.inc({ route: '/layer/:loc/:name', status: 200 }, 2);
+    requests.inc({ route: 'say "hi"', status: 404 });
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 0.5);
+    latency.observe({ route: '/a' }, 3);
+    clients = 5;
+
+    const text = metrics.render();
+    expect(text).toContain('# TYPE requests_total counter');
+    expect(text).toContain('requests_total{route="/layer/:loc/:name",status="200"} 3');
+    expect(text).toContain('requests_total{route="say \\"hi\\"",status="404"} 1');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="1"} 2');
+    expect(text).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3');
+    expect(text).toContain('latency_seconds_sum{route="/a"} 3.55');
+    expect(text).toContain('latency_seconds_count{route="/a"} 3');
+    expect(text).toContain('clients 5');
+    expect(text).toContain('by_layer{layer="rivers"} 3');
+  });
+});
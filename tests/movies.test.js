@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMovieCatalog } from '../backend/movies.js';
+
+const file = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'movies.json');
+
+describe('movie catalog', () => {
+  it('searches, sorts and pages the local file', async () => {
+    const catalog = createMovieCatalog({ file });
+    const top = await catalog.search();
+    expect(top).toMatchObject({ page: 1, pageSize: 10, total: 3 });
+    expect(top.results.map(m => m.id)).toEqual(['the-godfather-1972', 'amelie-2001', 'baahubali-the-beginning-2015']);
+    expect(top.results[0]).toEqual({ id: 'the-godfather-1972', title: 'The Godfather', year: 1972, genres: ['Crime', 'Drama'], score: 9.6, poster: 'https://example.com/godfather.jpg' });
+
+    expect((await catalog.search({ genre: 'drama', sort: 'year' })).results.map(m => m.year)).toEqual([2015, 1972]);
+    expect((await catalog.search({ q: 'fabuleux' })).results.map(m => m.title)).toEqual(['Amélie']);
+    expect((await catalog.search({ year: '1972' })).total).toBe(1);
+    expect((await catalog.search({ sort: 'title', pageSize: '2', page: '2' })).results.map(m => m.title)).toEqual(['The Godfather']);
+    expect(await catalog.genres()).toEqual(['Action', 'Animation', 'Comedy', 'Crime', 'Drama', 'Romance']);
+  });
+
+  it('exposes the source details and loads only once', async () => {
+    let calls = 0;
+    const catalog = createMovieCatalog({
+      fetchImpl: async () => {
+        calls++;
+        return { ok: true, json: async () => [{ id: 'tt1', title: 'Heat', year: '1995', genres: ['Crime'], ratings: [8], storyline: 'Cops and robbers.', posterurl: 'heat.jpg' }] };
+      }
+    });
+    const [movie] = await Promise.all([catalog.get('tt1'), catalog.search()]);
+    expect(movie).toMatchObject({ id: 'tt1', year: 1995, genres: ['Crime'], storyline: 'Cops and robbers.', poster: 'heat.jpg', score: 8 });
+    expect(await catalog.get('nope')).toBeNull();
+    expect(calls).toBe(1);
+  });
+
+  it('retries after a failed load', async () => {
+    let fail = true;
+    const catalog = createMovieCatalog({
+      fetchImpl: async () => (fail ? { ok: false, status: 503 } : { ok: true, json: async () => [{ title: 'Up', ratings: [7] }] })
+    });
+    await expect(catalog.search()).rejects.toThrow('503');
+    fail = false;
+    expect((await catalog.search()).total).toBe(1);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProfiles } from '../backend/profiles.js';
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-')), 'profiles.json');
+}
+
+describe('player profiles', () => {
+  it('keeps stats, distribution and history per game', () => {
+    const profiles = createProfiles(tempFile());
+    const { id, key } = profiles.create();
+    profiles.record(id, key, { game: 'geolayers', date: null, loc: 'FRA', solved: true, rounds: 2, score: 75 });
+    profiles.record(id, key, { game: 'geolayers', date: null, loc: 'DEU', solved: false, rounds: 4, score: 0 });
+    expect(profiles.record(id, 'wrong', { game: 'geolayers', solved: true, rounds: 1 })).toEqual({ error: 'invalid profile' });
+    const view = profiles.view(profiles.get(id));
+    expect(view.games.geolayers).toMatchObject({ played: 2, won: 1, winRate: 0.5, distribution: { 2: 1, X: 1 } });
+    expect(view.history.map(h => h.loc)).toEqual(['DEU', 'FRA']);
+    expect(view).not.toHaveProperty('keyHash');
+  });
+
+  it('counts streaks on consecutive daily puzzles only', () => {
+    let today = '2025-09-01';
+    const profiles = createProfiles(tempFile(), { today: () => today });
+    const { id, key } = profiles.create();
+    const play = (date, solved) => profiles.record(id, key, { game: 'geolayers', date, solved, rounds: 1, score: 100 });
+    play('2025-09-01', true);
+    today = '2025-09-02';
+    play('2025-09-02', true);
+    play('2025-08-30', true); // archive replay: no effect
+    expect(profiles.view(profiles.get(id)).streak).toMatchObject({ current: 2, best: 2 });
+    today = '2025-09-05';
+    expect(profiles.view(profiles.get(id)).streak.current).toBe(0);
+    play('2025-09-05', true);
+    today = '2025-09-06';
+    play('2025-09-06', false);
+    expect(profiles.view(profiles.get(id)).streak).toMatchObject({ current: 0, best: 2 });
+  });
+
+  it('claims unique names and moves between devices with the export code', () => {
+    const file = tempFile();
+    const profiles = createProfiles(file);
+    const a = profiles.create();
+    const b = profiles.create();
+    expect(profiles.claim(a.id, a.key, ' Ana ').profile.name).toBe('Ana');
+    expect(profiles.claim(b.id, b.key, 'ana')).toEqual({ error: 'name taken' });
+    const code = profiles.exportCode(a.id, a.key);
+    expect(profiles.exportCode(a.id, b.key)).toBeNull();
+    const reloaded = createProfiles(file);
+    expect(reloaded.importCode(code)).toEqual(a);
+    expect(reloaded.importCode('nonsense')).toBeNull();
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createPuzzleTokens, evaluateGuess, roundsFor, MAX_ROUNDS, puzzleNumber, archiveDates } from '../backend/puzzle.js';
+
+describe('puzzle tokens', () => {
+  const tokens = createPuzzleTokens('test-secret');
+
+  it('round-trips a puzzle without exposing the location', () => {
+    const token = tokens.seal({ loc: 'FRA', date: '2025-09-01' });
+    expect(token).not.toContain('FRA');
+    expect(Buffer.from(token, 'base64url').toString('latin1')).not.toContain('FRA');
+    expect(tokens.open(token)).toEqual({ loc: 'FRA', date: '2025-09-01' });
+  });
+
+  it('rejects tampered tokens and tokens from another secret', () => {
+    const token = tokens.seal({ loc: 'FRA', date: null });
+    const flipped = token.slice(0, -2) + (token.endsWith('A') ? 'BB' : 'AA');
+    expect(tokens.open(flipped)).toBeNull();
+    expect(createPuzzleTokens('other').open(token)).toBeNull();
+    expect(tokens.open('garbage')).toBeNull();
+  });
+});
+
+describe('evaluateGuess', () => {
+  it('finishes on a correct guess', () => {
+    expect(evaluateGuess('FRA', 'fra', 2)).toMatchObject({ correct: true, finished: true, round: 2 });
+  });
+
+  it('reveals the next round on a miss and ends after the last round', () => {
+    expect(evaluateGuess('FRA', 'DEU', 1)).toMatchObject({ correct: false, finished: false, round: 2, reveal: ['cities'] });
+    expect(evaluateGuess('FRA', 'DEU', MAX_ROUNDS)).toMatchObject({ correct: false, finished: true });
+  });
+});
+
+describe('roundsFor', () => {
+  it('drops rounds whose layers are not playable, the outline included', () => {
+    const rounds = roundsFor(new Set(['rivers', 'cities', 'outline']));
+    expect(rounds).toEqual([['rivers'], ['cities'], ['outline']]);
+    expect(evaluateGuess('FRA', 'DEU', 3, rounds)).toMatchObject({ finished: true });
+    expect(roundsFor(new Set(['rivers', 'roads']))).toEqual([['rivers'], ['roads']]);
+    expect(roundsFor(new Set())).toEqual([]);
+  });
+});
+
+describe('archive', () => {
+  it('numbers puzzles from the epoch', () => {
+    expect(puzzleNumber('2025-09-01')).toBe(1);
+    expect(puzzleNumber('2025-10-01')).toBe(31);
+  });
+
+  it('lists every day up to today, newest first', () => {
+    const days = archiveDates('2025-09-03');
+    expect(days).toEqual([
+      { number: 3, date: '2025-09-03' },
+      { number: 2, date: '2025-09-02' },
+      { number: 1, date: '2025-09-01' }
+    ]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { createRateLimiter, parseLimitOverrides } from '../backend/rateLimit.js';
+
+describe('rate limiter', () => {
+  it('allows a burst, then refills at the configured rate', () => {
+    let t = Date.parse('2025-09-01T12:00:00Z');
+    const limiter = createRateLimiter({ overrides: { test: { burst: 2, perMinute: 6 } }, now: () => t });
+    expect(limiter.take('test', '1.1.1.1')).toBe(0);
+    expect(limiter.take('test', '1.1.1.1')).toBe(0);
+    expect(limiter.take('test', '1.1.1.1')).toBe(10);
+    expect(limiter.take('test', '2.2.2.2')).toBe(0);
+    t += 10000;
+    expect(limiter.take('test', '1.1.1.1')).toBe(0);
+  });
+
+  it('applies per-client and global daily caps until midnight UTC', () => {
+    let t = Date.parse('2025-09-01T23:00:00Z');
+    const limiter = createRateLimiter({
+      overrides: { capped: { burst: 100, perMinute: 100, perDay: 2, globalPerDay: 3 } },
+      now: () => t
+    });
+    expect(limiter.take('capped', 'a')).toBe(0);
+    expect(limiter.take('capped', 'a')).toBe(0);
+    expect(limiter.take('capped', 'a')).toBe(3600);
+    expect(limiter.take('capped', 'b')).toBe(0);
+    expect(limiter.take('capped', 'c')).toBe(3600);
+    t += 3600 * 1000;
+    expect(limiter.take('capped', 'a')).toBe(0);
+  });
+
+  it('answers 429 with Retry-After from the middleware', () => {
+    const limiter = createRateLimiter({ overrides: { one: { burst: 1, perMinute: 1 } } });
+    const mw = limiter.limit('one');
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      set(k, v) { headers[k] = v; return this; },
+      status(c) { this.statusCode = c; return this; },
+      json(b) { this.body = b; return this; }
+    };
+    let passed = 0;
+    mw({ ip: '9.9.9.9' }, res, () => passed++);
+    mw({ ip: '9.9.9.9' }, res, () => passed++);
+    expect(passed).toBe(1);
+    expect(res.statusCode).toBe(429);
+    expect(headers['Retry-After']).toBe('60');
+  });
+
+  it('ignores malformed RATE_LIMITS', () => {
+    expect(parseLimitOverrides('{"contact":{"perDay":5}}')).toEqual({ contact: { perDay: 5 } });
+    expect(parseLimitOverrides('nope')).toEqual({});
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { createRooms } from '../backend/rooms.js';
+import { ROUNDS } from '../backend/puzzle.js';
+
+function setup() {
+  let t = 1000;
+  const rooms = createRooms({ now: () => t, countdownMs: 3000 });
+  const puzzle = { loc: 'FRA', rounds: ROUNDS, token: 'tok', answer: { code: 'FRA', name: 'France' } };
+  return { rooms, puzzle, tick: ms => { t += ms; } };
+}
+
+describe('race rooms', () => {
+  it('lets players join by code and only the host start', () => {
+    const { rooms, puzzle } = setup();
+    const { room, player: host } = rooms.create({ name: 'Ana', ...puzzle });
+    expect(room.code).toMatch(/^[A-Z2-9]{5}$/);
+    expect(rooms.snapshot(room).token).toBeNull();
+    const { player: guest } = rooms.join(room.code.toLowerCase(), 'Ben');
+    expect(rooms.join(room.code, 'ben')).toEqual({ error: 'name taken' });
+    expect(rooms.join('ZZZZZ', 'Cy')).toEqual({ error: 'room not found' });
+    expect(rooms.start(room.code, guest.key)).toEqual({ error: 'only the host can start' });
+    expect(rooms.start(room.code, host.key).room.startsAt).toBe(4000);
+    expect(rooms.join(room.code, 'Cy')).toEqual({ error: 'race already started' });
+  });
+
+  it('pushes events and ranks solvers by rounds then time', () => {
+    const { rooms, puzzle, tick } = setup();
+    const { room, player: host } = rooms.create({ name: 'Ana', ...puzzle });
+    const { player: guest } = rooms.join(room.code, 'Ben');
+    const events = [];
+    rooms.subscribe(room.code, type => events.push(type));
+    rooms.start(room.code, host.key);
+    expect(rooms.guess(room.code, guest.key, 'FRA')).toEqual({ error: 'race not started' });
+    tick(3000);
+    expect(rooms.guess(room.code, host.key, 'DEU').result).toMatchObject({ finished: false, round: 2 });
+    tick(1000);
+    expect(rooms.guess(room.code, guest.key, 'FRA').player).toMatchObject({ solved: true, timeMs: 1000, score: 100 });
+    tick(1000);
+    rooms.guess(room.code, host.key, 'FRA');
+    expect(rooms.guess(room.code, host.key, 'FRA')).toEqual({ error: 'already finished' });
+    expect(events).toEqual(['start', 'guess', 'reveal', 'guess', 'finish', 'guess', 'finish', 'end']);
+    const snap = rooms.snapshot(room);
+    expect(snap.state).toBe('finished');
+    expect(snap.answer).toEqual({ code: 'FRA', name: 'France' });
+    expect(snap.players.map(p => p.name)).toEqual(['Ben', 'Ana']);
+  });
+
+  it('hands the host role on when the host leaves', () => {
+    const { rooms, puzzle } = setup();
+    const { room, player: host } = rooms.create({ name: 'Ana', ...puzzle });
+    const { player: guest } = rooms.join(room.code, 'Ben');
+    rooms.leave(room.code, host.key);
+    expect(room.host).toBe(guest.id);
+    rooms.leave(room.code, guest.key);
+    expect(rooms.get(room.code)).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { createRoundTracker } from '../backend/rounds.js';
+import { evaluateGuess, MAX_ROUNDS } from '../backend/puzzle.js';
+
+function play(tracker, token, guesses) {
+  const state = tracker.lookup(token);
+  for (const g of guesses) tracker.record(state, g, evaluateGuess(state.loc, g, state.round));
+  return state;
+}
+
+describe('round tracker', () => {
+  let clock = 0;
+  const now = () => clock;
+
+  it('accepts the score the recorded guesses produce, once', () => {
+    const tracker = createRoundTracker({ secret: 's', now });
+    clock = 1000;
+    const token = tracker.start({ game: 'geolayers', loc: 'FRA', date: '2025-09-01' });
+    play(tracker, token, ['DEU', 'FRA']);
+    clock += 30000;
+    expect(tracker.claim(token, 100).error).toBe('implausible score');
+    expect(tracker.claim(token, 75).state).toMatchObject({ loc: 'FRA', round: 2, solved: true });
+    expect(tracker.claim(token, 75).error).toBe('token already used');
+  });
+
+  it('rejects forged, unfinished and too-fast rounds', () => {
+    const tracker = createRoundTracker({ secret: 's', now });
+    clock = 1000;
+    const token = tracker.start({ game: 'geolayers', loc: 'FRA', date: null });
+    const [body] = token.split('.');
+    expect(tracker.claim(`${body}.forged`, 0).error).toBe('invalid token');
+    expect(createRoundTracker({ secret: 'other', now }).claim(token, 0).error).toBe('invalid token');
+    expect(tracker.claim(token, 0).error).toBe('round not finished');
+    play(tracker, token, Array(MAX_ROUNDS).fill('DEU'));
+    clock += 500;
+    expect(tracker.claim(token, 0).error).toBe('implausible time');
+    clock += 5000;
+    expect(tracker.claim(token, 0).state.solved).toBe(false);
+  });
+
+  it('claims server-scored rounds at the settled score', () => {
+    const tracker = createRoundTracker({ secret: 's', now });
+    clock = 1000;
+    const token = tracker.start({ game: 'geoscore', date: '2025-09-01', ranked: true });
+    const state = tracker.lookup(token);
+    expect(state.ranked).toBe(true);
+    tracker.settle(state, 18);
+    clock += 30000;
+    expect(tracker.claim(token, 20).error).toBe('implausible score');
+    expect(tracker.claim(token, 18).state).toMatchObject({ game: 'geoscore', score: 18 });
+  });
+
+  it('ranks only the first round each player starts for a game and date', () => {
+    const tracker = createRoundTracker({ secret: 's', now });
+    const start = players => tracker.lookup(tracker.start({ game: 'geolayers', loc: 'FRA', date: '2025-09-01', ranked: true, players }));
+    const first = start(['profile:p1', 'ip:1']);
+    expect(first.ranked).toBe(true);
+    expect(tracker.first('geolayers', '2025-09-01', 'profile:p1')).toBe(first);
+    expect(start(['ip:1']).ranked).toBe(false);
+    expect(start(['profile:p1', 'ip:2']).ranked).toBe(false);
+    expect(start(['ip:3']).ranked).toBe(true);
+    expect(tracker.lookup(tracker.start({ game: 'geoscore', date: '2025-09-01', ranked: true, players: ['ip:1'] })).ranked).toBe(true);
+  });
+
+  it('keeps at most maxTracked rounds, dropping the oldest', () => {
+    const tracker = createRoundTracker({ secret: 's', maxTracked: 3, now });
+    const tokens = Array.from({ length: 5 }, () => tracker.start({ game: 'geolayers', loc: 'FRA', date: null }));
+    expect(tracker.size).toBe(3);
+    expect(tracker.lookup(tokens[0])).toBeNull();
+    expect(tracker.lookup(tokens[1])).toBeNull();
+    expect(tracker.lookup(tokens[4])).not.toBeNull();
+  });
+});
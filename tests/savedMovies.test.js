@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSavedMovies } from '../backend/savedMovies.js';
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'saved-movies-')), 'saved-movies.json');
+}
+
+describe('saved movies', () => {
+  it('adds once, updates user fields and removes', () => {
+    const file = tempFile();
+    const movies = createSavedMovies(file, { now: () => Date.parse('2025-09-01T00:00:00Z') });
+    expect(movies.add({ id: 7, title: 'Heat', tags: ['Crime', 'crime'] })).toMatchObject({ created: true, movie: { id: '7', tags: ['crime'] } });
+    expect(movies.add({ id: '7', title: 'Other' }).created).toBe(false);
+    expect(movies.add({ title: 'No id' })).toEqual({ error: 'id required' });
+
+    expect(movies.update('7', { userRating: 7.3, watchedAt: '2025-08-30' }).movie).toMatchObject({ userRating: 7.5, watchedAt: '2025-08-30', tags: ['crime'] });
+    expect(movies.update('7', { userRating: 11 })).toEqual({ error: 'userRating must be 0-10' });
+    expect(movies.update('7', { notes: 'rewatch' }, { replace: true }).movie).toMatchObject({ userRating: null, watchedAt: null, notes: 'rewatch', tags: [] });
+    expect(movies.update('8', {})).toBeNull();
+
+    expect(createSavedMovies(file).get('7').notes).toBe('rewatch');
+    expect(movies.remove('7')).toBe(true);
+    expect(movies.remove('7')).toBe(false);
+  });
+
+  it('merges imports by id or title and year, keeping user fields', () => {
+    const file = tempFile();
+    fs.writeFileSync(file, JSON.stringify([{ id: 1, title: 'Alien', year: 1979 }]));
+    const movies = createSavedMovies(file);
+    movies.update('1', { userRating: 9 });
+    expect(movies.importMovies([{ title: 'Alien', year: 1979, score: 8.4 }, { title: 'Up', year: 2009 }, { score: 3 }])).toEqual({ added: 1, updated: 1, total: 2 });
+    expect(movies.get('1')).toMatchObject({ score: 8.4, userRating: 9 });
+    expect(movies.get('up-2009')).toMatchObject({ title: 'Up', userRating: null });
+  });
+
+  it('filters and sorts with missing values last', () => {
+    const movies = createSavedMovies(tempFile());
+    movies.add({ id: 'a', title: 'Brazil', userRating: 6, tags: ['satire'] });
+    movies.add({ id: 'b', title: 'Amelie', userRating: 9, watchedAt: '2025-01-01' });
+    movies.add({ id: 'c', title: 'Casablanca' });
+    expect(movies.list({ sort: 'userRating', order: 'desc' }).map(m => m.id)).toEqual(['b', 'a', 'c']);
+    expect(movies.list({ sort: 'userRating' }).map(m => m.id)).toEqual(['a', 'b', 'c']);
+    expect(movies.list({ sort: 'title' }).map(m => m.id)).toEqual(['b', 'a', 'c']);
+    expect(movies.list({ watched: 'false', minRating: '5' }).map(m => m.id)).toEqual(['a']);
+    expect(movies.list({ tag: 'Satire' }).map(m => m.id)).toEqual(['a']);
+    expect(movies.list({ q: 'casa' }).map(m => m.id)).toEqual(['c']);
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createScheduler } from '../backend/scheduler.js';
+
+const CODES = ['ARG', 'AUS', 'BRA', 'CAN', 'CHN', 'EGY', 'FRA', 'DEU'];
+const COUNTRIES = CODES.map(code => ({ code }));
+const EPOCH = '2025-09-01';
+
+describe('daily scheduler', () => {
+  it('uses every country once per cycle and never repeats on consecutive days', () => {
+    const s = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => COUNTRIES });
+    const days = Array.from({ length: CODES.length * 3 }, (_, i) => s.pick(i));
+    for (let c = 0; c < 3; c++) {
+      const cycle = days.slice(c * CODES.length, (c + 1) * CODES.length);
+      expect(new Set(cycle).size).toBe(CODES.length);
+    }
+    for (let i = 1; i < days.length; i++) expect(days[i]).not.toBe(days[i - 1]);
+  });
+
+  it('is deterministic for a seed', () => {
+    const a = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => COUNTRIES });
+    const b = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => COUNTRIES.slice().reverse() });
+    expect(Array.from({ length: 20 }, (_, i) => a.pick(i))).toEqual(Array.from({ length: 20 }, (_, i) => b.pick(i)));
+  });
+
+  it('keeps published days when countries are added', () => {
+    const s = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => COUNTRIES });
+    const published = Array.from({ length: 10 }, (_, i) => s.pick(i));
+    // Added on day 9 (2025-09-10): cycle 1 started on day 8, so they wait for cycle 2
+    const added = [...COUNTRIES, { code: 'ITA', added: '2025-09-10' }, { code: 'JPN', added: '2025-09-10' }];
+    // A fresh deploy with the longer list rebuilds the same days
+    const redeployed = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => added });
+    expect(Array.from({ length: 10 }, (_, i) => redeployed.pick(i))).toEqual(published);
+    expect(redeployed.cycle(1)).not.toContain('ITA');
+    expect(redeployed.cycle(2)).toContain('ITA');
+  });
+
+  it('holds back a country added on the first day of a cycle', () => {
+    // Cycle 1 starts on day 8, 2025-09-09
+    const s = createScheduler({ seed: 't', epoch: EPOCH, getCountries: () => [...COUNTRIES, { code: 'ITA', added: '2025-09-09' }] });
+    expect(s.cycle(0)).not.toContain('ITA');
+    expect(s.cycle(1)).not.toContain('ITA');
+    expect(s.cycle(2)).toContain('ITA');
+  });
+});
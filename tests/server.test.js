@@ -0,0 +1,355 @@
+import { describe, it, expect, afterAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import zlib from 'zlib';
+import request from 'supertest';
+
+const require = createRequire(import.meta.url);
+const here = path.dirname(fileURLToPath(import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'server-'));
+const dataDir = path.join(tmp, 'data');
+const codes = JSON.parse(fs.readFileSync(path.join(here, '../geolayers-game/public/countries.json'), 'utf8')).map(c => c.code);
+
+function square(lon, lat, size, properties = {}) {
+  const ring = [[lon, lat], [lon + size, lat], [lon + size, lat + size], [lon, lat + size], [lon, lat]];
+  return { type: 'FeatureCollection', features: [{ type: 'Feature', properties, geometry: { type: 'Polygon', coordinates: [ring] } }] };
+}
+
+codes.forEach((code, i) => {
+  fs.mkdirSync(path.join(dataDir, code), { recursive: true });
+  const outline = square(i, i, 2, { iso3: code, continent: 'Europe', neighbours: ['AAA'] });
+  fs.writeFileSync(path.join(dataDir, code, 'outline.geojson'), JSON.stringify(outline));
+  const rivers = { type: 'FeatureCollection', features: [{ type: 'Feature', properties: { name: `${code} river` }, geometry: { type: 'LineString', coordinates: [[i, i], [i + 1, i + 1]] } }] };
+  fs.writeFileSync(path.join(dataDir, code, 'rivers.geojson'), JSON.stringify(rivers));
+});
+const geoscoreQuestions = [
+  { question: 'Name a country in South America', answers: [{ answer: 'Brazil', score: 10 }, { answer: 'Chile', score: 8 }] },
+  { question: 'Name a European capital city', answers: [{ answer: 'Paris', score: 10 }] },
+  { question: 'Name a U.S. state that starts with M', answers: [{ answer: 'Maine', score: 5 }] }
+];
+fs.writeFileSync(path.join(tmp, 'geoscore.json'), JSON.stringify(geoscoreQuestions));
+// Puzzles only play approved layers
+const approved = { rivers: { status: 'approved' }, outline: { status: 'approved' } };
+fs.writeFileSync(path.join(tmp, 'approvals.json'), JSON.stringify(Object.fromEntries(codes.map(code => [code, approved]))));
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  PORT: '0',
+  LAYER_DATA_DIR: dataDir,
+  APPROVALS_FILE: path.join(tmp, 'approvals.json'),
+  LEADERBOARD_FILE: path.join(tmp, 'leaderboard.json'),
+  PROFILES_FILE: path.join(tmp, 'profiles.json'),
+  CONTACT_OUTBOX_FILE: path.join(tmp, 'contact-outbox.json'),
+  CONTACT_TRANSPORT_DIR: path.join(tmp, 'mail'),
+  CONTACT_MIN_SECONDS: '0',
+  DESCRIPTIONS_FILE: path.join(tmp, 'descriptions.json'),
+  SAVED_MOVIES_FILE: path.join(tmp, 'saved-movies.json'),
+  TILE_CACHE_DIR: path.join(tmp, 'tile-cache'),
+  GEOSCORE_QUESTIONS_FILE: path.join(tmp, 'geoscore.json'),
+  CITY_PROVIDERS: 'fixtures',
+  ADMIN_TOKEN: 'test-admin',
+  TRUST_PROXY: '1',
+  ROOM_COUNTDOWN_MS: '0'
+});
+const server = require('../backend/server.js');
+const api = request(server);
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function finish(puzzle, guesses) {
+  let last;
+  for (const guess of guesses) {
+    last = (await api.post('/daily/guess').send({ token: puzzle.token, guess, roundToken: puzzle.roundToken }).expect(200)).body;
+  }
+  return last;
+}
+
+describe('daily puzzle routes', () => {
+  it('tracks the round by roundToken and only reveals the answer when it is over', async () => {
+    const daily = (await api.get('/daily').expect(200)).body;
+    expect(daily.maxRounds).toBe(2);
+    expect(daily).not.toHaveProperty('loc');
+
+    // A client-supplied round is ignored; without the server's roundToken nothing is answered
+    await api.post('/daily/guess').send({ token: daily.token, guess: 'zzz', round: daily.maxRounds }).expect(400);
+    const other = (await api.get('/random').expect(200)).body;
+    await api.post('/daily/guess').send({ token: daily.token, guess: 'zzz', roundToken: other.roundToken }).expect(400);
+
+    const first = (await api.post('/daily/guess').send({ token: daily.token, guess: 'zzz', round: daily.maxRounds, roundToken: daily.roundToken }).expect(200)).body;
+    expect(first).toMatchObject({ correct: false, finished: false, round: 2 });
+    expect(first.layers).toEqual([`/puzzle/${daily.token}/layer/outline?${new URLSearchParams({ roundToken: daily.roundToken })}`]);
+    expect(first.answer).toBeUndefined();
+
+    const last = (await api.post('/daily/guess').send({ token: daily.token, guess: 'zzz', roundToken: daily.roundToken }).expect(200)).body;
+    expect(last.finished).toBe(true);
+    expect(codes).toContain(last.answer.code);
+    await api.post('/daily/guess').send({ token: daily.token, guess: last.answer.code, roundToken: daily.roundToken }).expect(409);
+  });
+
+  it('serves puzzle layers without feature properties', async () => {
+    const daily = (await api.get('/daily').expect(200)).body;
+    const rivers = (await api.get(daily.layers[0]).expect(200)).body;
+    expect(rivers.features).toHaveLength(1);
+    expect(rivers.features[0].properties).toEqual({});
+
+    await finish(daily, ['zzz', 'zzz']);
+    const outline = (await api.get(`/puzzle/${daily.token}/layer/outline`).query({ zoom: 3, roundToken: daily.roundToken }).expect(200)).body;
+    expect(outline.features[0].geometry.type).toBe('Polygon');
+    expect(outline.features[0].properties).toEqual({});
+    expect(JSON.stringify(outline)).not.toMatch(/iso3|continent|neighbours/);
+    await api.get(`/puzzle/${daily.token}/layer/roads`).query({ roundToken: daily.roundToken }).expect(404);
+  });
+
+  it('serves puzzle layers and tiles only once the tracked round reveals them', async () => {
+    const daily = (await api.get('/daily').expect(200)).body;
+    expect(daily.reveal).toEqual(['rivers']);
+    expect(daily.bbox).toHaveLength(4);
+    const layer = (name, query) => api.get(`/puzzle/${daily.token}/layer/${name}`).query(query);
+    const tile = query => api.get(`/puzzle/${daily.token}/tiles/rivers/0/0/0`).query(query);
+    const roundToken = daily.roundToken;
+
+    await layer('rivers', {}).expect(400);
+    await layer('rivers', { roundToken: (await api.get('/random').expect(200)).body.roundToken }).expect(400);
+    await tile({}).expect(400);
+    await tile({ roundToken }).expect(200);
+    await layer('outline', { roundToken }).expect(403);
+
+    await finish(daily, ['zzz']);
+    await layer('outline', { roundToken }).expect(200);
+  });
+});
+
+describe('puzzle starts', () => {
+  it('throttles new rounds per client', async () => {
+    let status = 200;
+    for (let i = 0; i < 40 && status === 200; i++) status = (await api.get('/random').set('X-Forwarded-For', '198.51.100.7')).status;
+    expect(status).toBe(429);
+    await api.get('/daily').set('X-Forwarded-For', '198.51.100.7').expect(429);
+  });
+});
+
+describe('hints', () => {
+  it('unlocks puzzle hint levels with the round the server tracks', async () => {
+    const daily = (await api.get('/daily').expect(200)).body;
+    const hint = (level, body) => api.post(`/puzzle/${daily.token}/hint/${level}`).send(body);
+    await hint(1, {}).expect(400);
+    await hint(1, { roundToken: (await api.get('/random').expect(200)).body.roundToken }).expect(400);
+    await hint(1, { roundToken: daily.roundToken }).expect(403);
+
+    await finish(daily, ['zzz']);
+    expect((await hint(1, { roundToken: daily.roundToken }).expect(200)).body.level).toBe(1);
+    await hint(2, { roundToken: daily.roundToken }).expect(403);
+    await hint(9, { roundToken: daily.roundToken }).expect(400);
+
+    await finish(daily, ['zzz']);
+    expect((await hint(3, { roundToken: daily.roundToken }).expect(200)).body.level).toBe(3);
+  });
+
+  it('checks race hints against the player in the room', async () => {
+    const host = (await api.post('/rooms').send({ name: 'ann' }).expect(201)).body;
+    const guest = (await api.post(`/rooms/${host.code}/join`).send({ name: 'bob' }).expect(200)).body;
+    await api.post(`/rooms/${host.code}/start`).send({ key: host.key }).expect(200);
+    const { token } = (await api.get(`/rooms/${host.code}`).expect(200)).body;
+    const hint = body => api.post(`/puzzle/${token}/hint/1`).send({ room: host.code, ...body });
+
+    await hint({ key: host.key }).expect(403);
+    const outline = key => api.get(`/puzzle/${token}/layer/outline`).query({ room: host.code, key });
+    await outline(host.key).expect(403);
+    const guessed = (await api.post(`/rooms/${host.code}/guess`).send({ key: host.key, guess: 'zzz' }).expect(200)).body;
+    expect(guessed.layers).toEqual([`/puzzle/${token}/layer/outline?${new URLSearchParams({ room: host.code, key: host.key })}`]);
+    await api.get(guessed.layers[0]).expect(200);
+    await outline(guest.key).expect(403);
+    await hint({ key: host.key }).expect(200);
+    await hint({ key: guest.key }).expect(403);
+    await hint({ key: 'nope' }).expect(400);
+  });
+});
+
+describe('layer approvals', () => {
+  it('plays only approved layers and skips a day whose country has none', async () => {
+    const admin = request.agent(server);
+    await admin.post('/api/admin/login').send({ password: 'test-admin' }).expect(200);
+    const daily = (await api.get('/daily').expect(200)).body;
+    expect(daily.maxRounds).toBe(2);
+    const { answer } = await finish(daily, ['zzz', 'zzz']);
+    const review = (layer, status) => admin.put(`/api/admin/approvals/${answer.code}/${layer}`).send({ status }).expect(200);
+
+    await review('outline', 'unreviewed');
+    const noOutline = (await api.get('/daily').expect(200)).body;
+    expect(noOutline.maxRounds).toBe(1);
+    expect(noOutline.available).not.toContain('outline');
+    await api.get(`/puzzle/${noOutline.token}/layer/outline`).expect(404);
+    // Nothing approved is left, so the day falls back to another country in the schedule
+    await review('rivers', 'rejected');
+    const fallback = (await api.get('/daily').expect(200)).body;
+    expect(fallback.maxRounds).toBe(2);
+    expect((await finish(fallback, ['zzz', 'zzz'])).answer.code).not.toBe(answer.code);
+
+    await review('outline', 'approved');
+    await review('rivers', 'approved');
+    expect((await api.get('/daily').expect(200)).body.maxRounds).toBe(2);
+  });
+});
+
+describe('layer routes', () => {
+  it('revalidates public layers by content hash', async () => {
+    const { layers } = (await api.get('/layers/FRA').expect(200)).body;
+    const rivers = layers.find(l => l.name === 'rivers');
+    const res = await api.get('/layer/FRA/rivers').expect(200);
+    expect(res.headers.etag).toBe(`W/"${rivers.hash.slice(0, 32)}"`);
+    expect(res.headers['last-modified']).toBeTruthy();
+    await api.get('/layer/FRA/rivers').set('If-None-Match', res.headers.etag).expect(304);
+    const clipped = await api.get('/layer/FRA/rivers?bbox=0,0,10,10').expect(200);
+    expect(clipped.headers.etag).not.toBe(res.headers.etag);
+  });
+
+  it('gives puzzle layers validators that do not match the manifest', async () => {
+    const daily = (await api.get('/daily').expect(200)).body;
+    const url = daily.layers[0];
+    const res = await api.get(url).expect(200);
+    expect(res.headers['last-modified']).toBeUndefined();
+    for (const code of codes) {
+      const { layers } = (await api.get(`/layers/${code}`).expect(200)).body;
+      for (const l of layers) expect(res.headers.etag).not.toContain(l.hash.slice(0, 12));
+    }
+    await api.get(url).set('If-None-Match', res.headers.etag).expect(304);
+    // Another token for the same country gets a different validator
+    const again = (await api.get('/daily').expect(200)).body;
+    expect((await api.get(again.layers[0]).expect(200)).headers.etag).not.toBe(res.headers.etag);
+  });
+
+  it('validates layer params and names', async () => {
+    for (const query of ['bbox=1,2,3', 'bbox=10,0,0,5', 'zoom=99', 'tolerance=-1', 'maxFeatures=0']) {
+      await api.get(`/layer/FRA/rivers?${query}`).expect(400);
+    }
+    await api.get('/layer/FRA/rivers?zoom=4&maxFeatures=1').expect(200);
+    await api.get('/layer/XXX/rivers').expect(404);
+    await api.get('/layer/fra/rivers').expect(404);
+    await api.get('/layer/FRA/secret').expect(404);
+    await api.get('/layer/FRA/roads').expect(404);
+    await api.get('/puzzle/forged/layer/rivers').expect(404);
+  });
+
+  it('serves fresh precompressed copies and skips stale ones', async () => {
+    const file = path.join(dataDir, 'DEU', 'rivers.geojson');
+    const raw = fs.readFileSync(file);
+    fs.writeFileSync(file + '.gz', zlib.gzipSync(raw));
+    fs.writeFileSync(file + '.br', zlib.brotliCompressSync(raw));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(file, old, old);
+
+    const br = await api.get('/layer/DEU/rivers').set('Accept-Encoding', 'br, gzip').expect(200);
+    expect(br.headers['content-encoding']).toBe('br');
+    expect(Number(br.headers['content-length'])).toBe(fs.statSync(file + '.br').size);
+    expect(br.body).toEqual(JSON.parse(raw));
+
+    const gz = await api.get('/layer/DEU/rivers').set('Accept-Encoding', 'gzip').expect(200);
+    expect(gz.headers['content-encoding']).toBe('gzip');
+    expect(gz.body).toEqual(JSON.parse(raw));
+
+    // A layer newer than its copies is served as is
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 60000));
+    const plain = await api.get('/layer/DEU/rivers').set('Accept-Encoding', 'br').expect(200);
+    expect(plain.headers['content-encoding']).toBeUndefined();
+  });
+});
+
+describe('scores', () => {
+  it('ranks only the first round each player starts in a day', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const ann = url => api.get(url).set('X-Forwarded-For', '203.0.113.1');
+    const first = (await ann('/daily').expect(200)).body;
+    expect(first.ranked).toBe(true);
+    await finish(first, ['zzz']);
+    // Asking again hands back the open ranked round where it was left
+    const resumed = (await ann('/daily').expect(200)).body;
+    expect(resumed).toMatchObject({ token: first.token, roundToken: first.roundToken, round: 2, reveal: ['rivers', 'outline'] });
+
+    // Losing it shows the answer; a throwaway round solved with it plays for practice
+    const { answer } = await finish(first, ['zzz']);
+    const second = (await ann('/daily').expect(200)).body;
+    expect(second.ranked).toBe(false);
+    expect((await finish(second, [answer.code])).score).toBe(100);
+    const replay = (await ann('/daily?date=2025-09-01').expect(200)).body;
+    const practice = (await ann('/random').expect(200)).body;
+    expect([replay.ranked, practice.ranked]).toEqual([false, false]);
+    await finish(replay, ['zzz', 'zzz']);
+    await finish(practice, ['zzz', 'zzz']);
+
+    // A profile that already played today is not ranked again from another address
+    const profile = (await api.post('/profiles').set('X-Forwarded-For', '203.0.113.2').expect(201)).body;
+    const withProfile = ip => api.get('/daily').set({ 'X-Forwarded-For': ip, 'X-Profile-Id': profile.id, 'X-Profile-Key': profile.key });
+    const bob = (await withProfile('203.0.113.2').expect(200)).body;
+    expect(bob.ranked).toBe(true);
+    await finish(bob, ['zzz', 'zzz']);
+    expect((await withProfile('203.0.113.3').expect(200)).body.ranked).toBe(false);
+
+    const quiz = (await ann('/geoscore/daily').expect(200)).body;
+    expect(quiz).toMatchObject({ date: today, ranked: true });
+    expect(quiz.questions.slice().sort()).toEqual(geoscoreQuestions.map(q => q.question).sort());
+    expect((await ann('/geoscore/daily').expect(200)).body.roundToken).toBe(quiz.roundToken);
+    await api.post('/geoscore/answers').send({ roundToken: first.roundToken, answers: [] }).expect(400);
+    const answers = quiz.questions.map(q => ({ 'Name a country in South America': ' chile ', 'Name a European capital city': 'Rome' })[q] || '');
+    const scored = (await api.post('/geoscore/answers').send({ roundToken: quiz.roundToken, answers }).expect(200)).body;
+    expect(scored.score).toBe(8);
+    expect(scored.results.filter(r => r.correct)).toEqual([{ correct: true, answer: 'Chile', score: 8 }]);
+    await api.post('/geoscore/answers').send({ roundToken: quiz.roundToken, answers }).expect(409);
+    // The answers are out now, so another round is practice
+    const quizAgain = (await ann('/geoscore/daily').expect(200)).body;
+    expect(quizAgain.ranked).toBe(false);
+    const perfect = quizAgain.questions.map(q => geoscoreQuestions.find(g => g.question === q).answers[0].answer);
+    const rescored = (await api.post('/geoscore/answers').send({ roundToken: quizAgain.roundToken, answers: perfect }).expect(200)).body;
+
+    // Scores are only accepted a plausible time after the round started
+    await sleep(2100);
+    const submit = (round, score) => api.post('/score').set('X-Forwarded-For', '203.0.113.1').send({ playerName: 'ann', roundToken: round.roundToken, score });
+    expect((await submit(first, 0).expect(200)).body.status).toBe('ok');
+    expect((await submit(second, 100).expect(200)).body.status).toBe('unranked');
+    expect((await submit(replay, 0).expect(200)).body.status).toBe('unranked');
+    expect((await submit(practice, 0).expect(200)).body.status).toBe('unranked');
+    await submit(quiz, 10).expect(400);
+    expect((await submit(quiz, 8).expect(200)).body.status).toBe('ok');
+    expect((await submit(quizAgain, rescored.score).expect(200)).body.status).toBe('unranked');
+
+    const geolayers = (await api.get('/leaderboard?game=geolayers&period=daily').expect(200)).body;
+    expect(geolayers).toEqual([{ rank: 1, playerName: 'ann', score: 0, played: 1 }]);
+    const geoscore = (await api.get('/leaderboard?game=geoscore&period=daily').expect(200)).body;
+    expect(geoscore).toEqual([{ rank: 1, playerName: 'ann', score: 8, played: 1 }]);
+  });
+});
+
+describe('contact form', () => {
+  it('takes each form token once and keeps the outbox private', async () => {
+    const { token } = (await api.get('/contact/token').expect(200)).body;
+    const message = { from: 'ada@example.com', message: 'Hello there, nice dashboard!', token };
+    await api.post('/contact').send(message).expect(202);
+    expect((await api.post('/contact').send(message).expect(400)).body.error).toBe('form already sent');
+    expect(JSON.parse(fs.readFileSync(process.env.CONTACT_OUTBOX_FILE, 'utf8'))).toHaveLength(1);
+    await api.get('/backend/contact-outbox.json').expect(404);
+  });
+});
+
+describe('profiles', () => {
+  it('keeps the profile store private and throttles new profiles', async () => {
+    const created = (await api.post('/profiles').expect(201)).body;
+    expect(JSON.parse(fs.readFileSync(process.env.PROFILES_FILE, 'utf8'))).toHaveProperty(created.id);
+    await api.get('/backend/profiles.json').expect(404);
+    let status = 201;
+    for (let i = 0; i < 10 && status === 201; i++) status = (await api.post('/profiles')).status;
+    expect(status).toBe(429);
+  });
+});
+
+describe('static files', () => {
+  it('never serves backend code or data', async () => {
+    for (const url of ['/backend/server.js', '/backend/schedule.json', '/%62ackend/server.js', '/js/../backend/server.js', '/backend%2Fserver.js', '/%E0%A4%A']) {
+      await api.get(url).expect(404);
+    }
+    await api.get('/index.html').expect(200);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { createSpoonacular, searchParams } from '../backend/spoonacular.js';
+
+function stubFetch() {
+  const urls = [];
+  let left = 100;
+  const fetchImpl = async (url) => {
+    urls.push(url);
+    left -= 1;
+    const status = url.includes('/recipes/404/') ? 404 : 200;
+    return {
+      status,
+      headers: new Headers({ 'X-API-Quota-Request': '1', 'X-API-Quota-Used': String(100 - left), 'X-API-Quota-Left': String(left) }),
+      json: async () => ({ url })
+    };
+  };
+  return { fetchImpl, urls };
+}
+
+describe('spoonacular search params', () => {
+  it('passes allow-listed filters and pagination through', () => {
+    expect(searchParams({ query: ' pasta ', diet: 'Vegan, gluten free', intolerances: 'peanut', cuisine: 'Italian', maxReadyTime: '30', number: '10', offset: '20', apiKey: 'x' }))
+      .toEqual({ params: { number: '10', offset: '20', query: 'pasta', diet: 'vegan,gluten free', intolerances: 'peanut', cuisine: 'italian', maxReadyTime: '30' } });
+    expect(searchParams({ query: 'soup' }).params).toEqual({ number: '50', offset: '0', query: 'soup' });
+    expect(searchParams({})).toEqual({ error: 'missing query' });
+    expect(searchParams({ query: 'soup', diet: 'carnivore' })).toEqual({ error: 'invalid diet' });
+    expect(searchParams({ query: 'soup', number: '500' })).toEqual({ error: 'invalid number' });
+    expect(searchParams({ query: 'soup', cuisine: 'thai&apiKey=x' })).toEqual({ error: 'invalid cuisine' });
+  });
+});
+
+describe('spoonacular client', () => {
+  it('caches successful responses until the TTL and tracks quota headers', async () => {
+    let t = 0;
+    const stub = stubFetch();
+    const api = createSpoonacular({ apiKey: 'secret', fetchImpl: stub.fetchImpl, ttlMs: 1000, now: () => t });
+    const { params } = searchParams({ query: 'soup' });
+    expect(api.isCached('search', params)).toBe(false);
+    expect((await api.search(params)).cache).toBe('MISS');
+    expect(api.isCached('search', params)).toBe(true);
+    expect(await api.search(params)).toMatchObject({ status: 200, cache: 'HIT' });
+    expect(stub.urls).toHaveLength(1);
+    expect(stub.urls[0]).toContain('/recipes/complexSearch?number=50&offset=0&query=soup&addRecipeInformation=true&apiKey=secret');
+    expect(api.quota()).toMatchObject({ request: 1, used: 1, left: 99 });
+
+    expect((await api.recipe('404')).status).toBe(404);
+    expect((await api.recipe('404')).cache).toBe('MISS');
+    await api.recipe('716429');
+    expect(stub.urls[3]).toContain('/recipes/716429/information?includeNutrition=false&apiKey=secret');
+
+    t = 1000;
+    expect((await api.search(params)).cache).toBe('MISS');
+    expect(api.quota().left).toBe(95);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { createTicketmaster, mapLimit } from '../backend/ticketmaster.js';
+
+function event(id, date, lat, lon) {
+  return {
+    id,
+    name: `Show ${id}`,
+    dates: { start: { localDate: date } },
+    _embedded: { venues: [{ name: 'Hall', city: { name: 'Paris' }, location: { latitude: String(lat), longitude: String(lon) } }] }
+  };
+}
+
+function stubFetch(byArtist) {
+  const calls = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const fetchImpl = async (url) => {
+    const artist = new URL(url).searchParams.get('keyword');
+    calls.push(artist);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(r => setTimeout(r, 5));
+    inFlight--;
+    if (byArtist[artist] === undefined) return { ok: false, status: 500 };
+    return { ok: true, json: async () => ({ _embedded: { events: byArtist[artist] } }) };
+  };
+  return { fetchImpl, calls, maxInFlight: () => maxInFlight };
+}
+
+describe('ticketmaster batch', () => {
+  it('merges events by id, sorts by date and reports failed artists', async () => {
+    const stub = stubFetch({
+      Muse: [event('a', '2025-10-02', 48.85, 2.35), event('shared', '2025-09-20', 48.86, 2.34)],
+      Air: [event('shared', '2025-09-20', 48.86, 2.34), event('far', '2025-09-01', 40.7, -74)]
+    });
+    const tm = createTicketmaster({ fetchImpl: stub.fetchImpl, concurrency: 2 });
+    const { events, errors } = await tm.batch({ artists: ['Muse', 'Air', 'muse ', 'Broken'], apiKey: 'k' });
+    expect(events.map(e => e.id)).toEqual(['far', 'shared', 'a']);
+    expect(events[1].artists).toEqual(['Muse', 'Air']);
+    expect(errors).toEqual([{ artist: 'Broken', error: 'Ticketmaster responded 500' }]);
+    expect(stub.calls.sort()).toEqual(['Air', 'Broken', 'Muse']);
+    expect(stub.maxInFlight()).toBeLessThanOrEqual(2);
+
+    const near = await tm.batch({ artists: ['Air'], apiKey: 'k', near: { lat: 48.85, lon: 2.35, radiusKm: 50 } });
+    expect(near.events.map(e => [e.id, e.distanceKm])).toEqual([['shared', 1.3]]);
+    expect(stub.calls).toHaveLength(3);
+  });
+
+  it('expires cached artists after the TTL and shares concurrent lookups', async () => {
+    let t = 0;
+    const stub = stubFetch({ Muse: [event('a', '2025-10-02', 0, 0)] });
+    const tm = createTicketmaster({ fetchImpl: stub.fetchImpl, ttlMs: 1000, now: () => t });
+    await Promise.all([tm.eventsFor('Muse', 'k'), tm.eventsFor('MUSE', 'k')]);
+    expect(stub.calls).toHaveLength(1);
+    t = 1001;
+    await tm.eventsFor('Muse', 'k');
+    expect(stub.calls).toHaveLength(2);
+  });
+
+  it('limits concurrency and keeps result order', async () => {
+    let active = 0;
+    let peak = 0;
+    const out = await mapLimit([30, 10, 20, 5], 2, async (ms, i) => {
+      peak = Math.max(peak, ++active);
+      await new Promise(r => setTimeout(r, ms));
+      active--;
+      return i;
+    });
+    expect(out).toEqual([0, 1, 2, 3]);
+    expect(peak).toBe(2);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTiler, tileBbox, isValidTile } from '../backend/tiles.js';
+
+describe('vector tiles', () => {
+  it('computes web-mercator tile bounds', () => {
+    const [w, s, e, n] = tileBbox(1, 0, 0);
+    expect([w, e]).toEqual([-180, 0]);
+    expect(s).toBeCloseTo(0);
+    expect(n).toBeCloseTo(85.0511, 3);
+    expect(isValidTile(1, 1, 1)).toBe(true);
+    expect(isValidTile(1, 2, 0)).toBe(false);
+    expect(isValidTile(99, 0, 0)).toBe(false);
+  });
+
+  it('cuts a layer into tiles and caches them on disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiles-'));
+    const file = path.join(dir, 'rivers.geojson');
+    fs.writeFileSync(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[-100, 20], [100, 20]] } },
+        { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[30, -30], [40, -40]] } }
+      ]
+    }));
+    const tiler = createTiler({ cacheDir: path.join(dir, 'cache') });
+    const west = JSON.parse(await tiler.tile(file, 'T/rivers', 1, 0, 0));
+    expect(west.features).toHaveLength(1);
+    const [start, end] = west.features[0].geometry.coordinates;
+    expect(start).toEqual([-100, 20]);
+    expect(end[0]).toBeGreaterThan(0);
+    expect(end[0]).toBeLessThan(15);
+
+    const southEast = JSON.parse(await tiler.tile(file, 'T/rivers', 1, 1, 1));
+    expect(southEast.features).toHaveLength(1);
+
+    const cached = fs.readdirSync(path.join(dir, 'cache', 'T', 'rivers'));
+    expect(cached).toHaveLength(1);
+  });
+
+  it('answers empty tiles without caching them and drops stale versions', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tiles-'));
+    const file = path.join(dir, 'roads.geojson');
+    const write = coordinates => fs.writeFileSync(file, JSON.stringify({
+      type: 'FeatureCollection',
+      features: [coordinates, [[100, -40], [101, -39]]].map(c => ({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: c } }))
+    }));
+    write([[2, 45], [3, 46]]);
+    const tiler = createTiler({ cacheDir: path.join(dir, 'cache') });
+    const keyDir = path.join(dir, 'cache', 'T', 'roads');
+
+    // Far outside the layer, and inside its bbox on a tile no line crosses
+    expect(JSON.parse(await tiler.tile(file, 'T/roads', 14, 0, 0)).features).toEqual([]);
+    expect(JSON.parse(await tiler.tile(file, 'T/roads', 2, 2, 2)).features).toEqual([]);
+    expect(fs.existsSync(keyDir)).toBe(false);
+
+    expect(JSON.parse(await tiler.tile(file, 'T/roads', 1, 1, 0)).features).toHaveLength(1);
+    const [old] = fs.readdirSync(keyDir);
+    write([[2, 45], [4, 47]]);
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    expect(JSON.parse(await tiler.tile(file, 'T/roads', 1, 1, 0)).features).toHaveLength(1);
+    const now = fs.readdirSync(keyDir);
+    expect(now).toHaveLength(1);
+    expect(now[0]).not.toBe(old);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createTransactionStore, createStubPlaidClient } from '../backend/transactions.js';
+
+const fixture = JSON.parse(fs.readFileSync(path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'plaid-transactions.json'), 'utf8'));
+
+function countingClient(inner) {
+  const calls = [];
+  return {
+    calls,
+    async transactionsSync(req) {
+      calls.push(req.cursor);
+      return inner.transactionsSync(req);
+    }
+  };
+}
+
+describe('transaction store', () => {
+  it('follows sync cursors and pages a date range', async () => {
+    const client = countingClient(createStubPlaidClient(fixture, { pageSize: 3 }));
+    const store = createTransactionStore({ client, accessToken: 'stub', minSyncMs: 60000, now: () => 0 });
+    const page1 = await store.list({ start: '2025-07-01', end: '2025-08-31', count: 3 });
+    expect(store.size).toBe(7);
+    expect(page1.total).toBe(7);
+    expect(page1.transactions.map(t => t.transaction_id)).toEqual(['t7', 't6', 't5']);
+    const page2 = await store.list({ start: '2025-07-01', end: '2025-08-31', count: 3, cursor: page1.nextCursor });
+    const page3 = await store.list({ start: '2025-07-01', end: '2025-08-31', count: 3, cursor: page2.nextCursor });
+    expect(page3.transactions.map(t => t.transaction_id)).toEqual(['t1']);
+    expect(page3.nextCursor).toBeNull();
+    expect((await store.list({ start: '2025-08-01', end: '2025-08-01' })).transactions.map(t => t.transaction_id)).toEqual(['t4']);
+    // One sync run over three Plaid pages, then nothing until minSyncMs passes
+    expect(client.calls).toEqual([undefined, '3', '6']);
+  });
+
+  it('applies removals and restarts a run interrupted by a mutation', async () => {
+    let fail = true;
+    const pages = [
+      { added: fixture.slice(0, 2), modified: [], removed: [], next_cursor: 'a', has_more: true },
+      { added: fixture.slice(2, 4), modified: [], removed: [{ transaction_id: 't1' }], next_cursor: 'b', has_more: false }
+    ];
+    const client = {
+      async transactionsSync({ cursor }) {
+        if (cursor === 'a' && fail) {
+          fail = false;
+          const err = new Error('mutation');
+          err.response = { data: { error_code: 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' } };
+          throw err;
+        }
+        return { data: cursor === 'a' ? pages[1] : pages[0] };
+      }
+    };
+    const store = createTransactionStore({ client, accessToken: 'x' });
+    await store.sync();
+    expect(store.size).toBe(3);
+  });
+
+  it('sums spending per month by category and merchant', async () => {
+    const store = createTransactionStore({ client: createStubPlaidClient(fixture), accessToken: 'stub' });
+    const { months } = await store.summary({ start: '2025-07-01', end: '2025-08-31' });
+    expect(months.map(m => [m.month, m.spending, m.income, m.count])).toEqual([['2025-07', 1212.5, 2500, 3], ['2025-08', 83.1, 0, 3]]);
+    expect(months[1].byCategory).toEqual([{ name: 'Travel', amount: 60.1 }, { name: 'FOOD_AND_DRINK', amount: 23 }]);
+    expect(months[0].byMerchant).toEqual([{ name: 'RENT', amount: 1200 }, { name: 'Starbucks', amount: 12.5 }]);
+  });
+});